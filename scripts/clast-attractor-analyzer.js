@@ -0,0 +1,195 @@
+/*
+CLAST is an executable graphical editor for causal loop diagrams.
+This tool is developed by Pieter Bots at Delft University of Technology.
+
+This JavaScript file (clast-attractor-analyzer.js) provides the GUI
+functionality for the CLAST "attractor analyzer": the draggable/resizable
+dialog that lists the fixed points and limit cycles of the model when it is
+run as a sign-valued network, and permits showing their factor states in
+the model diagram.
+*/
+
+/*
+Copyright (c) 2024 Delft University of Technology
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights to
+use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+of the Software, and to permit persons to whom the Software is furnished to do
+so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+// CLASS AttractorAnalyzer provides the attractor dialog functionality
+class AttractorAnalyzer {
+  constructor() {
+    this.dialog = UI.draggableDialog('attractors');
+    UI.resizableDialog('attractors', 'ATTRACTOR_ANALYZER');
+    this.close_btn = document.getElementById('attractors-close-btn');
+    this.run_btn = document.getElementById('attractors-run-btn');
+    // Make toolbar buttons responsive.
+    this.close_btn.addEventListener('click', (e) => UI.toggleDialog(e));
+    this.run_btn.addEventListener('click', () => ATTRACTOR_ANALYZER.run());
+    this.mode = document.getElementById('attractors-mode');
+    this.mode.addEventListener('change', () => ATTRACTOR_ANALYZER.clear());
+    this.table = document.getElementById('attractors-table');
+    this.status = document.getElementById('attractors-status');
+    // Set own properties.
+    this.visible = false;
+    this.reset();
+  }
+  
+  reset() {
+    // NOTE: Attractors are computed only when the modeler asks for it,
+    // as the state space can be large.
+    this.results = null;
+    // The selected state is a pair [attractor index, state index].
+    this.selected = null;
+    if(MODEL) MODEL.shown_state = null;
+  }
+  
+  clear() {
+    // Clear the results, and no longer show an attractor state.
+    // NOTE: An analysis in progress is abandoned.
+    if(MODEL && MODEL.attractor_search) {
+      MODEL.attractor_search = null;
+      UI.setProgressNeedle(0);
+      UI.normalCursor();
+    }
+    const shown = this.selected !== null;
+    this.reset();
+    if(shown) UI.drawDiagram(MODEL);
+    this.updateDialog();
+  }
+  
+  run() {
+    // Analyze the state space, and then display the attractors.
+    this.clear();
+    this.status.innerHTML = 'Analyzing state space\u2026';
+    UI.waitingCursor();
+    MODEL.booleanAttractors(this.mode.value === 'inputs', (res) => {
+        ATTRACTOR_ANALYZER.results = res;
+        UI.normalCursor();
+        ATTRACTOR_ANALYZER.updateDialog();
+      });
+  }
+  
+  stateAsString(s) {
+    // Return factor state `s` as list of factors that increase or decrease.
+    const
+        fl = this.results.factors,
+        signs = ['\u2212', '', '+'],
+        list = [];
+    for(let i = 0; i < s.length; i++) {
+      if(s[i] !== '1') list.push(signs[s[i]] + fl[i].displayName);
+    }
+    return (list.length ? list.join(', ') : '(no change)');
+  }
+  
+  updateDialog() {
+    // Display the list of attractors with their basins of attraction.
+    if(!MODEL) return;
+    const r = this.results;
+    if(!r) {
+      this.table.innerHTML = '';
+      this.status.innerHTML = (MODEL.attractor_search ?
+          'Analyzing state space\u2026' :
+          'Click on the run button to find attractors ' +
+              '(all factors are updated synchronously)');
+      return;
+    }
+    const html = [];
+    let nfp = 0;
+    for(let i = 0; i < r.attractors.length; i++) {
+      const
+          a = r.attractors[i],
+          p = a.states.length,
+          pct = VM.sig2Dig(a.basin / r.initial_states * 100) + '%';
+      if(p === 1) nfp++;
+      for(let j = 0; j < p; j++) {
+        const
+            sel = this.selected && this.selected[0] === i &&
+                this.selected[1] === j,
+            ss = this.stateAsString(a.states[j]);
+        html.push('<tr class="dataset', (sel ? ' sel-set' : ''),
+            (j ? '' : ' attractors-first'),
+            '" onclick="ATTRACTOR_ANALYZER.selectState(', i, ',', j,
+            ');"><td class="attractors-nr">', (j ? '' : i + 1),
+            '</td><td class="attractors-type">',
+            (j ? `state ${j + 1}` : (p === 1 ? 'Fixed point' :
+                `Cycle (period ${p})`)),
+            '</td><td class="attractors-basin" title="',
+            pluralS(a.basin, 'initial state'), '">', (j ? '' : pct),
+            '</td><td title="', safeDoubleQuotes(ss), '">', ss, '</td></tr>');
+      }
+    }
+    this.table.innerHTML = html.join('');
+    let msg = pluralS(nfp, 'fixed point') + ', ' +
+        pluralS(r.attractors.length - nfp, 'limit cycle') + ' from ' +
+        pluralS(r.initial_states, (r.sampled ? 'sampled ' : '') +
+            'initial state');
+    if(r.unresolved) msg += ` (${r.unresolved} unresolved)`;
+    // NOTE: Attractors may differ when factors are updated sequentially.
+    msg += ' -- all factors updated synchronously';
+    this.status.innerHTML = msg;
+  }
+  
+  selectState(i, j) {
+    // Show state `j` of attractor `i` on the diagram. Clicking on the
+    // selected row again cancels this.
+    if(this.selected && this.selected[0] === i && this.selected[1] === j) {
+      this.selected = null;
+      MODEL.shown_state = null;
+      UI.setMessage('');
+    } else {
+      this.selected = [i, j];
+      const
+          fl = this.results.factors,
+          s = this.results.attractors[i].states[j],
+          ss = {};
+      for(let k = 0; k < fl.length; k++) ss[fl[k].identifier] = s[k] - 1;
+      MODEL.shown_state = ss;
+      UI.setMessage(`Attractor #${i + 1}: ${this.stateAsString(s)}`);
+    }
+    UI.drawDiagram(MODEL);
+    this.updateDialog();
+  }
+  
+  cancelSelection() {
+    // No longer show an attractor state on the diagram, e.g., because the
+    // model is run and its results should be shown instead.
+    if(!this.selected) return;
+    this.selected = null;
+    MODEL.shown_state = null;
+    if(this.visible) this.updateDialog();
+  }
+  
+  upDownKey(dir) {
+    // Select the attractor state above or below the selected one.
+    if(!this.results) return;
+    const rows = [];
+    let si = -1;
+    for(let i = 0; i < this.results.attractors.length; i++) {
+      const p = this.results.attractors[i].states.length;
+      for(let j = 0; j < p; j++) {
+        if(this.selected && this.selected[0] === i &&
+            this.selected[1] === j) si = rows.length;
+        rows.push([i, j]);
+      }
+    }
+    const ni = si + dir;
+    if(ni >= 0 && ni < rows.length) this.selectState(...rows[ni]);
+  }
+
+} // END of class AttractorAnalyzer
@@ -0,0 +1,292 @@
+/*
+CLAST is an executable graphical editor for causal loop diagrams.
+This tool is developed by Pieter Bots at Delft University of Technology.
+
+This JavaScript file (clast-chart-manager.js) provides the GUI
+functionality for the CLAST "chart manager": the draggable/resizable
+dialog that plots the status of factors and the multiplier of links over
+the time steps of a run.
+*/
+
+/*
+Copyright (c) 2024 Delft University of Technology
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights to
+use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+of the Software, and to permit persons to whom the Software is furnished to do
+so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+// CLASS ChartManager provides the chart dialog functionality
+class ChartManager {
+  constructor() {
+    this.dialog = UI.draggableDialog('chart');
+    UI.resizableDialog('chart', 'CHART_MANAGER');
+    this.close_btn = document.getElementById('chart-close-btn');
+    this.clear_btn = document.getElementById('chart-clear-btn');
+    this.copy_btn = document.getElementById('chart-copy-btn');
+    this.svg_btn = document.getElementById('chart-svg-btn');
+    // Make toolbar buttons responsive.
+    this.close_btn.addEventListener('click', (e) => UI.toggleDialog(e));
+    this.clear_btn.addEventListener('click', () => CHART_MANAGER.clear());
+    this.copy_btn.addEventListener('click',
+        () => CHART_MANAGER.copyData());
+    this.svg_btn.addEventListener('click', () => CHART_MANAGER.saveAsSVG());
+    this.rendering = document.getElementById('chart-rendering');
+    this.rendering.addEventListener('change',
+        () => CHART_MANAGER.updateDialog());
+    // Factors and links can be dragged from the Finder onto the chart.
+    this.dialog.addEventListener('dragover',
+        (event) => CHART_MANAGER.dragOver(event));
+    this.dialog.addEventListener('drop',
+        (event) => CHART_MANAGER.drop(event));
+    this.legend = document.getElementById('chart-variables');
+    this.container = document.getElementById('chart-svg-container');
+    this.status = document.getElementById('chart-status');
+    // Set own properties.
+    this.visible = false;
+    this.reset();
+  }
+  
+  reset() {
+    // The chart variables are factors and links.
+    this.variables = [];
+  }
+  
+  clear() {
+    // Remove all variables from the chart.
+    this.reset();
+    this.updateDialog();
+  }
+  
+  dragOver(e) {
+    // Accept only factors and links that are dragged from the Finder.
+    const obj = MODEL.objectByID(e.dataTransfer.getData('text'));
+    if(obj instanceof Factor || obj instanceof Link) e.preventDefault();
+  }
+  
+  drop(e) {
+    // Add the factor or link that is dropped to the chart.
+    const obj = MODEL.objectByID(e.dataTransfer.getData('text'));
+    if(obj instanceof Factor || obj instanceof Link) {
+      e.preventDefault();
+      this.addVariable(obj);
+    }
+  }
+  
+  addVariable(obj) {
+    // Add factor or link `obj` to the chart (if not already there).
+    if(this.variables.indexOf(obj) < 0) {
+      this.variables.push(obj);
+      this.updateDialog();
+    }
+  }
+  
+  removeVariable(i) {
+    // Remove the i-th variable from the chart.
+    this.variables.splice(i, 1);
+    this.updateDialog();
+  }
+  
+  valueAt(obj, t) {
+    // Return the value of chart variable `obj` at time step `t`: the
+    // status of a factor, or the multiplier of a link.
+    if(obj instanceof Factor) {
+      return (t < obj.status.length ? obj.status[t] : VM.UNDEFINED);
+    }
+    // NOTE: Static expressions have a vector of length 1.
+    const v = obj.expression.vector;
+    if(v.length === 1) return v[0];
+    return (t < v.length ? v[t] : VM.UNDEFINED);
+  }
+  
+  get runLength() {
+    // Return the number of time steps shown.
+    return MODEL.run_length;
+  }
+  
+  updateDialog() {
+    // Display the legend and the chart.
+    if(!MODEL) return;
+    // NOTE: Factors and links may have been deleted.
+    const vl = [];
+    for(let i = 0; i < this.variables.length; i++) {
+      if(MODEL.hasEntity(this.variables[i])) vl.push(this.variables[i]);
+    }
+    this.variables = vl;
+    const
+        cc = UI.chart_colors,
+        html = [];
+    for(let i = 0; i < vl.length; i++) {
+      html.push('<div class="chart-var" title="Click to remove from chart" ',
+          'onclick="CHART_MANAGER.removeVariable(', i, ');">',
+          '<span class="chart-swatch" style="background-color: ',
+          cc[i % cc.length], '"></span>', vl[i].displayName, '</div>');
+    }
+    this.legend.innerHTML = html.join('');
+    if(!vl.length) {
+      this.container.innerHTML = '';
+      this.status.innerHTML = 'Drag factors or links from the Finder ' +
+          'onto this chart';
+      return;
+    }
+    this.container.innerHTML = this.svg(this.container.clientWidth,
+        this.container.clientHeight);
+    this.status.innerHTML = (MODEL.solved ? pluralS(vl.length, 'variable') +
+        ` over ${pluralS(this.runLength, 'time step')}` :
+        'Run the model to see results');
+  }
+  
+  niceStep(range, n) {
+    // Return a "nice" step size (1, 2 or 5 times a power of 10) that
+    // divides `range` in at most about `n` intervals.
+    const
+        raw = range / Math.max(1, n),
+        p = Math.pow(10, Math.floor(Math.log10(raw))),
+        f = raw / p;
+    return (f <= 1 ? 1 : (f <= 2 ? 2 : (f <= 5 ? 5 : 10))) * p;
+  }
+  
+  svg(width, height) {
+    // Return the chart as SVG string having the specified size.
+    const
+        vl = this.variables,
+        tmax = this.runLength,
+        cc = UI.chart_colors,
+        // NOTE: Leave room for the axis labels.
+        ml = 40, mr = 10, mt = 8, mb = 22,
+        w = Math.max(50, width - ml - mr),
+        h = Math.max(30, height - mt - mb),
+        svg = ['<svg xmlns="http://www.w3.org/2000/svg" version="1.1" ',
+            'width="', width, '" height="', height,
+            '" font-family="Arial, Helvetica, sans-serif" font-size="9">',
+            '<rect x="0" y="0" width="', width, '" height="', height,
+            '" fill="white"/>'];
+    // Determine the range of the vertical axis. When the model has been
+    // solved, this is the range of the values; in sign mode, it always
+    // includes -1 and +1.
+    let vmin = (MODEL.numericStatus ? 0 : -1),
+        vmax = (MODEL.numericStatus ? 0 : 1);
+    if(MODEL.solved) {
+      for(let i = 0; i < vl.length; i++) {
+        for(let t = 0; t <= tmax; t++) {
+          const v = this.valueAt(vl[i], t);
+          if(!VM.specialValue(v)[0]) {
+            vmin = Math.min(vmin, v);
+            vmax = Math.max(vmax, v);
+          }
+        }
+      }
+    }
+    if(vmax - vmin < VM.NEAR_ZERO) {
+      vmin -= 1;
+      vmax += 1;
+    }
+    const
+        ys = this.niceStep(vmax - vmin, h / 20),
+        xs = Math.max(1, this.niceStep(tmax, w / 30)),
+        y0 = Math.floor(vmin / ys) * ys,
+        y1 = Math.ceil(vmax / ys) * ys,
+        // Functions that map time steps and values to coordinates.
+        xc = (t) => ml + (tmax ? t / tmax * w : 0),
+        yc = (v) => mt + h - (v - y0) / (y1 - y0) * h;
+    // Draw horizontal grid lines with labels.
+    for(let y = y0; y <= y1 + ys / 2; y += ys) {
+      const py = yc(y);
+      svg.push('<path d="M', ml, ',', py, 'h', w, '" stroke="',
+          (Math.abs(y) < ys / 2 ? '#808080' : '#e0e0e0'), '"/>',
+          '<text x="', ml - 4, '" y="', py + 3, '" text-anchor="end">',
+          VM.sig4Dig(Math.abs(y) < ys / 2 ? 0 : y), '</text>');
+    }
+    // Draw the time axis with labels.
+    svg.push('<path d="M', ml, ',', mt + h, 'h', w, '" stroke="#808080"/>');
+    for(let t = 0; t <= tmax; t += xs) {
+      const px = xc(t);
+      svg.push('<path d="M', px, ',', mt + h, 'v3" stroke="#808080"/>',
+          '<text x="', px, '" y="', mt + h + 12, '" text-anchor="middle">',
+          t, '</text>');
+    }
+    // Mark the time step shown in the diagram.
+    if(MODEL.solved && MODEL.t <= tmax) {
+      svg.push('<path d="M', xc(MODEL.t), ',', mt, 'v', h,
+          '" stroke="#c0c0c0" stroke-dasharray="', UI.sda.dot, '"/>');
+    }
+    // Draw the data as paths.
+    if(MODEL.solved) {
+      const step = this.rendering.value === 'step';
+      for(let i = 0; i < vl.length; i++) {
+        const path = [];
+        let gap = true;
+        for(let t = 0; t <= tmax; t++) {
+          const v = this.valueAt(vl[i], t);
+          // NOTE: Special values (e.g., ambiguous) interrupt the line.
+          if(VM.specialValue(v)[0]) {
+            gap = true;
+            continue;
+          }
+          const px = xc(t), py = yc(v);
+          if(gap) {
+            path.push('M', px, ',', py);
+          } else {
+            path.push(step ? 'V' : 'L', (step ? '' : px + ','), py);
+          }
+          // NOTE: In step rendering, a value holds until the next step.
+          if(step && t < tmax) path.push('H', xc(t + 1));
+          gap = false;
+        }
+        svg.push('<path d="', path.join(''), '" fill="none" stroke="',
+            cc[i % cc.length], '" stroke-width="1.5"/>');
+      }
+    }
+    svg.push('</svg>');
+    return svg.join('');
+  }
+  
+  copyData() {
+    // Copy the chart data to the clipboard as tab-separated values, using
+    // decimal comma when so configured.
+    const vl = this.variables;
+    if(!vl.length || !MODEL.solved) {
+      UI.notify('Chart has no data');
+      return;
+    }
+    const lines = [['t'].concat(vl.map((v) => v.displayName)).join('\t')];
+    for(let t = 0; t <= this.runLength; t++) {
+      const row = [t];
+      for(let i = 0; i < vl.length; i++) {
+        const
+            v = this.valueAt(vl[i], t),
+            sv = VM.specialValue(v);
+        let s = (sv[0] ? sv[1] : v.toString());
+        if(!sv[0] && CONFIGURATION.decimal_comma) s = s.replace('.', ',');
+        row.push(s);
+      }
+      lines.push(row.join('\t'));
+    }
+    UI.copyStringToClipboard(lines.join('\n'));
+  }
+  
+  saveAsSVG() {
+    // Save the chart, as it is displayed, as SVG image.
+    if(!this.variables.length) {
+      UI.notify('Chart has no data');
+      return;
+    }
+    FILE_MANAGER.pushOutSVG(this.svg(this.container.clientWidth,
+        this.container.clientHeight), (MODEL.name || 'CLAST') + '-chart');
+  }
+
+} // END of class ChartManager
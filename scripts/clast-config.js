@@ -51,6 +51,21 @@ const CONFIGURATION = {
     // Allow some control over the size of nodes.
     min_factor_width: 80,
     min_cluster_width: 80,
+    // The number of loops in a diagram can grow exponentially with its size,
+    // so the search for loops stops when this number of loops has been found.
+    max_cycles: 1000,
+    // Likewise, the total number of causal paths considered when analyzing
+    // the impact of actions and context factors on outcomes is limited.
+    max_paths: 100000,
+    // The state space of a model with N factors has 3^N states, so when
+    // analyzing attractors, initial states are sampled when the number of
+    // states to be enumerated exceeds this number.
+    max_states: 59049,
+    state_samples: 5000,
+    // In a sensitivity analysis, link multipliers are varied by this
+    // fraction, and jointly sampled this number of times.
+    sensitivity_range: 0.5,
+    sensitivity_samples: 100,
   };
 
 // NOTE: Debugging is defined as a global *variable* to permit setting it
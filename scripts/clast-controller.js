@@ -122,6 +122,12 @@ class Controller {
     this.PREFIXER = ': ';
     // FROM->TO represented by solid right-pointing arrow with curved shaft.
     this.LINK_ARROW = '\u219D';
+    // The loop navigator can show three different sets of loops.
+    this.CYCLE_VIEWS = {
+        all: 'all loops',
+        basis: 'independent loops',
+        selection: 'loops through selection'
+      };
     
     // Identify the type of browser in which CLAST is running.
     const
@@ -183,6 +189,7 @@ class Controller {
     // Keyboard shortcuts: Ctrl-x associates with menu button ID.
     this.shortcuts = {
       'C': 'clone', // button and Ctrl-C now copies; Alt-C clones
+      'E': 'check', // E for "Errors"
       'F': 'finder',
       'G': 'savediagram', // G for "Graph" (as Scalable Vector Graphics image)
       'I': 'documentation',
@@ -204,8 +211,10 @@ class Controller {
     // Initialize controller buttons.
     this.node_btns = ['factor', 'cluster', 'link', 'note'];
     this.edit_btns = ['clone', 'paste', 'delete', 'undo', 'redo'];
-    this.model_btns = ['settings', 'save', 'savediagram', 'finder',
-        'actors', 'monitor', 'cycle', 'solve'];
+    this.model_btns = ['settings', 'save', 'savediagram', 'export', 'finder',
+        'actors', 'monitor', 'cycle', 'loops', 'catalog', 'impact', 'paths',
+        'check', 'tree', 'query', 'attractors', 'scenarios', 'replications',
+        'sensitivity', 'chart', 'solve'];
     this.other_btns = ['new', 'load', 'documentation',
         'parent', 'lift', 'solve', 'stop', 'reset', 'zoomin', 'zoomout',
         'stepback', 'stepforward', 'autosave', 'recall'];
@@ -232,7 +241,7 @@ class Controller {
     // not to other dialog objects.
     const main_modals = ['model', 'load', 'settings', 'actors', 'actor',
         'add-node', 'edit-link', 'move', 'note', 'clone',
-        'expression'];
+        'expression', 'impact', 'export'];
     for(let i = 0; i < main_modals.length; i++) {
       this.modals[main_modals[i]] = new ModalDialog(main_modals[i]);
     }
@@ -616,6 +625,8 @@ class Controller {
         () => FILE_MANAGER.saveModel(event.shiftKey));
     this.buttons.savediagram.addEventListener('click',
         () => FILE_MANAGER.saveDiagramAsSVG(event));
+    this.buttons.export.addEventListener('click',
+        () => FILE_MANAGER.promptToExport());
     this.buttons.actors.addEventListener('click',
         () => ACTOR_MANAGER.showDialog());
     // NOTE: All draggable & resizable dialogs "toggle" show/hide.
@@ -623,9 +634,23 @@ class Controller {
     this.buttons.finder.addEventListener('click', tdf);
     this.buttons.monitor.addEventListener('click', tdf);
     this.buttons.documentation.addEventListener('click', tdf);
+    this.buttons.loops.addEventListener('click', tdf);
+    this.buttons.paths.addEventListener('click', tdf);
+    this.buttons.tree.addEventListener('click', tdf);
+    this.buttons.catalog.addEventListener('click', tdf);
+    this.buttons.query.addEventListener('click', tdf);
+    this.buttons.attractors.addEventListener('click', tdf);
+    this.buttons.scenarios.addEventListener('click', tdf);
+    this.buttons.replications.addEventListener('click', tdf);
+    this.buttons.sensitivity.addEventListener('click', tdf);
+    this.buttons.chart.addEventListener('click', tdf);
     // Cycle button.
     this.buttons.cycle.addEventListener('click',
         () => UI.highlightCycle(event));
+    this.buttons.impact.addEventListener('click',
+        () => UI.showImpactDialog());
+    this.buttons.check.addEventListener('click',
+        () => UI.checkModel());
     // Cluster hierarchy navigation elements:
     this.focal_name.addEventListener('click',
         () => UI.showClusterPropertiesDialog(MODEL.focal_cluster));
@@ -667,7 +692,7 @@ class Controller {
             UI.updateButtons();
           }
         });
-    this.buttons.solve.addEventListener('click', () => VM.solveModel());
+    this.buttons.solve.addEventListener('click', () => VM.solve());
     this.buttons.stop.addEventListener('click', () => VM.halt());
     this.buttons.reset.addEventListener('click', () => UI.resetModel());
 
@@ -714,8 +739,17 @@ class Controller {
     this.modals.load.element('autosaved-btn').addEventListener('click',
         () => AUTO_SAVE.showRestoreDialog());
 
+    this.modals.export.ok.addEventListener('click',
+        () => FILE_MANAGER.exportResults());
+    this.modals.export.cancel.addEventListener('click',
+        () => UI.modals.export.hide());
+    this.modals.export.element('format').addEventListener('change',
+        () => FILE_MANAGER.updateExportRows());
+
     this.modals.settings.ok.addEventListener('click',
         () => UI.updateSettings(MODEL));
+    this.modals.settings.element('simulation-mode').addEventListener('change',
+        () => UI.updateSimulationModeRows());
     // NOTE: Model Settings dialog has an information button in its header.
     this.modals.settings.info.addEventListener('click',
         () => {
@@ -766,6 +800,15 @@ class Controller {
     // Moving cursor back over the dialog hides the menu.
     md.dialog.addEventListener('mouseenter', () => UI.hideMultiplierMenu());
 
+    // The IMPACT dialog only has a close button, a type selector, and a
+    // button to copy the impact table to the clipboard.
+    this.modals.impact.close.addEventListener('click',
+        () => UI.modals.impact.hide());
+    this.modals.impact.element('type').addEventListener('change',
+        () => UI.updateImpactTable());
+    this.modals.impact.element('copy').addEventListener('click',
+        () => UI.copyImpactTable());
+
     // The MOVE dialog can appear when a factor or cluster is added.
     this.modals.move.ok.addEventListener('click',
         () => UI.moveNodeToFocalCluster());
@@ -836,6 +879,10 @@ class Controller {
   updateControllerDialogs(letters) {
     if(letters.indexOf('F') >= 0) FINDER.updateDialog();
     if(letters.indexOf('I') >= 0) DOCUMENTATION_MANAGER.updateDialog();
+    if(letters.indexOf('L') >= 0) {
+      LOOP_MANAGER.updateDialog();
+      LOOP_CATALOG.updateDialog();
+    }
     if(letters.indexOf('M') >= 0) MONITOR.updateDialog();
   }
 
@@ -918,6 +965,24 @@ class Controller {
     }
   }
   
+  drawLinks(ll) {
+    // Redraw the links in list `ll` that are visible in the focal cluster,
+    // either as such or as part of a deep link.
+    const dll = [];
+    for(let i = 0; i < ll.length; i++) {
+      const
+          l = ll[i],
+          vn = l.visibleNodes;
+      if(vn[0] && vn[1]) {
+        this.paper.drawLink(l);
+      } else {
+        const dl = this.paper.comprisingDeepLink(l);
+        if(dl) addDistinct(dl, dll);
+      }
+    }
+    for(let i = 0; i < dll.length; i++) this.paper.drawLink(dll[i]);
+  }
+  
   clockTime(hrs, secs=true) {
     // Return real number `hrs` as dd hh:mm:ss where dd is the number of
     // days, and the seconds :ss are omitted when `secs` is FALSE.
@@ -928,9 +993,22 @@ class Controller {
 
   updateTimeStep(t=MODEL.t) {
     // Display cycle tick `t` as the current cycle number.
-    document.getElementById('step').innerText = t;
+    const
+        step = document.getElementById('step'),
+        il = MODEL.interventionsAt(t);
+    step.innerText = t;
+    // Mark time steps at which interventions apply.
+    if(il.length) {
+      step.classList.add('intervention');
+      step.title = il.map((iv) => iv.asString).join('\n');
+    } else {
+      step.classList.remove('intervention');
+      step.title = '';
+    }
     document.getElementById('clock-time').innerHTML =
         `${this.clockTime(MODEL.simulationTime)}`;
+    // The chart marks the time step that is shown.
+    if(CHART_MANAGER.visible) CHART_MANAGER.updateDialog();
   }
   
   stopSolving() {
@@ -1018,7 +1096,15 @@ class Controller {
     // Set time step to the one of the warning message for the issue
     // index, redraw the diagram if needed, and display the message
     // on the infoline.
-    if(VM.issue_index >= 0) {
+    // NOTE: Structural issues have no time step, but instead reveal the
+    // entity concerned.
+    if(VM.issue_index >= 0 && VM.issue_entities[VM.issue_index]) {
+      FINDER.reveal(VM.issue_entities[VM.issue_index]);
+      this.info_line.classList.remove('error', 'notification');
+      this.info_line.classList.add('warning');
+      this.info_line.innerHTML =
+          VM.issue_list[VM.issue_index].substring(VM.WARNING.length);
+    } else if(VM.issue_index >= 0) {
       const
           issue = VM.issue_list[VM.issue_index],
           po = issue.indexOf('(t='),
@@ -1432,7 +1518,7 @@ class Controller {
         this.drawObject(l.to_factor);
         this.drawObject(l);
       }
-      MODEL.cleanUpFeedbackLinks();
+      MODEL.linkAdded(l);
     } else if(ctm.ffact) {
       // Incomplete connection => redraw the FROM object, as it will
       // still have its purple nimbus.
@@ -1548,7 +1634,9 @@ class Controller {
     const
         node_btns = 'factor cluster link note ',
         edit_btns = 'clone paste delete undo redo ',
-        model_btns = 'settings save savediagram finder monitor solve';
+        model_btns = 'settings save savediagram export finder monitor ' +
+            'loops catalog impact paths check tree query attractors ' +
+            'scenarios replications sensitivity chart solve';
     if(MODEL === null) {
       this.disableButtons(node_btns + edit_btns + model_btns);
       return;
@@ -2229,7 +2317,8 @@ class Controller {
         inp = document.getElementById(id),
         txt = inp.value.trim().replace(',', '.');
     // NOTE: for some fields, empty strings denote default values, typically 0
-    if(txt === '' && ['some field'].indexOf(name) >= 0) return 0;
+    if(txt === '' && ['some field', 'link delay', 'random seed'].indexOf(
+        name) >= 0) return 0;
     const n = parseFloat(txt);
     // NOTE: any valid number ends with a digit (e.g., 100, 100.0, 1E+2),
     // but parseFloat is more tolerant; however, CLAST should not accept
@@ -2242,6 +2331,68 @@ class Controller {
     return n;
   }
 
+  factorOrLinkByName(name) {
+    // Return the factor or link having display name `name`, or NULL.
+    // NOTE: Accept -> as link arrow, as this is easier to type.
+    const
+        n = name.trim().split(/\s*(?:->|\u219D)\s*/).join(this.LINK_ARROW),
+        e = MODEL.objectByName(n);
+    return (e instanceof Factor || e instanceof Link ? e : null);
+  }
+
+  validSchedule(id) {
+    // Returns list of interventions if text area with identifier `id`
+    // contains a valid schedule; otherwise returns FALSE, and focuses on
+    // the text area while showing the error.
+    // The schedule has one intervention per line, for example:
+    //   at t=5 set [A] to +1 for 3 steps
+    //   from t=8 set [A -> B] to -1
+    // where "at" without duration means 1 time step, and "from" without
+    // duration means: until the end of the run. The keyword "change" may
+    // be used instead of "set", as both mean that the status of a factor
+    // or the multiplier of a link is set to the value (not changed by it).
+    // NOTE: In sign and qualitative mode, only the sign of the value that
+    // is set for a factor matters.
+    const
+        inp = document.getElementById(id),
+        lines = inp.value.trim().split('\n'),
+        re = new RegExp('^(at|from)\\s+(t\\s*=\\s*)?(\\d+)\\s+' +
+            '(set|change)\\s+\\[([^\\]]+)\\]\\s+to\\s+(\\S+)' +
+            '(\\s+for\\s+(\\d+)(\\s+steps?)?)?$', 'i'),
+        il = [];
+    for(let i = 0; i < lines.length; i++) {
+      const l = lines[i].trim();
+      if(!l) continue;
+      const m = l.match(re);
+      let msg = '';
+      if(!m) {
+        msg = 'Invalid syntax';
+      } else {
+        const
+            e = this.factorOrLinkByName(m[5]),
+            v = safeStrToFloat(m[6], null);
+        if(!e) {
+          msg = `Unknown factor or link "${m[5].trim()}"`;
+        } else if(v === null) {
+          msg = `Invalid value "${m[6]}"`;
+        } else {
+          const iv = new Intervention(e);
+          iv.start = parseInt(m[3]);
+          iv.duration = (m[8] ? parseInt(m[8]) :
+              (m[1].toLowerCase() === 'at' ? 1 : 0));
+          iv.value = v;
+          il.push(iv);
+        }
+      }
+      if(msg) {
+        this.warn(`${msg} in intervention schedule (line ${i + 1})`);
+        inp.focus();
+        return false;
+      }
+    }
+    return il;
+  }
+
   //
   // Navigation in the cluster hierarchy.
   //
@@ -2434,6 +2585,36 @@ class Controller {
     MONITOR.dialog.style.display = 'none';
     this.buttons.monitor.classList.remove('stay-activ');
     MONITOR.reset();
+    LOOP_MANAGER.dialog.style.display = 'none';
+    this.buttons.loops.classList.remove('stay-activ');
+    LOOP_MANAGER.reset();
+    PATH_ANALYZER.dialog.style.display = 'none';
+    this.buttons.paths.classList.remove('stay-activ');
+    PATH_ANALYZER.reset();
+    TREE_VIEWER.dialog.style.display = 'none';
+    this.buttons.tree.classList.remove('stay-activ');
+    TREE_VIEWER.reset();
+    PATH_QUERY.dialog.style.display = 'none';
+    this.buttons.query.classList.remove('stay-activ');
+    PATH_QUERY.reset();
+    LOOP_CATALOG.dialog.style.display = 'none';
+    this.buttons.catalog.classList.remove('stay-activ');
+    LOOP_CATALOG.reset();
+    ATTRACTOR_ANALYZER.dialog.style.display = 'none';
+    this.buttons.attractors.classList.remove('stay-activ');
+    ATTRACTOR_ANALYZER.reset();
+    SCENARIO_MANAGER.dialog.style.display = 'none';
+    this.buttons.scenarios.classList.remove('stay-activ');
+    SCENARIO_MANAGER.reset();
+    REPLICATION_VIEWER.dialog.style.display = 'none';
+    this.buttons.replications.classList.remove('stay-activ');
+    REPLICATION_VIEWER.reset();
+    SENSITIVITY_ANALYZER.dialog.style.display = 'none';
+    this.buttons.sensitivity.classList.remove('stay-activ');
+    SENSITIVITY_ANALYZER.reset();
+    CHART_MANAGER.dialog.style.display = 'none';
+    this.buttons.chart.classList.remove('stay-activ');
+    CHART_MANAGER.reset();
     // No more visible dialogs, so clear their z-index ordering array
     this.dr_dialog_order.length = 0;
   }
@@ -2503,6 +2684,11 @@ class Controller {
       }
       type = md.element('type').innerText;
       if(type === 'factor') {
+        const b = this.validBounds();
+        if(!b) {
+          UNDO_STACK.pop();
+          return false;
+        }
         n = MODEL.addFactor(nn, an);
         if(n) {
           // If factor, and X and Y are set, it exists; then if not in the
@@ -2516,6 +2702,11 @@ class Controller {
           } else {
             n.x = this.add_x;
             n.y = this.add_y;
+            n.lower_bound = b[0];
+            n.upper_bound = b[1];
+            n.clamped = UI.boxChecked('add-node-clamped');
+            n.kind = md.element('kind').value;
+            n.aggregation = md.element('aggregation').value;
             UNDO_STACK.push('add', n);
           }
         }
@@ -2937,7 +3128,10 @@ class Controller {
             tl = MODEL.objectByName(ft[1]);
         if(fl && tl) {
           obj = MODEL.addLink(fl, tl, node);
-          if(obj) new_entities.push(obj);
+          if(obj) {
+            MODEL.linkAdded(obj);
+            new_entities.push(obj);
+          }
         } else {
           UI.alert(`Failed to paste ${et} ${fn} as ${mn}`);
         }
@@ -3043,11 +3237,32 @@ console.log('HERE name conflicts', name_conflicts, mapping);
   
   highlightCycle(event) {
     // Highlight next cycle (if any) or all cycles when Alt-key is pressed.
-    const nc = MODEL.cycle_list.length;
+    // When the Ctrl-key is pressed, switch to the next loop view.
+    if(event.ctrlKey || event.metaKey) {
+      const views = Object.keys(this.CYCLE_VIEWS);
+      this.setCycleView(
+          views[(views.indexOf(MODEL.cycle_view) + 1) % views.length]);
+      return;
+    }
+    // NOTE: Only the loops in the current view are highlighted.
+    const
+        vc = MODEL.visibleCycles,
+        nc = vc.length;
+    // NOTE: Cycles are not highlighted together with paths.
+    MODEL.highlighted_paths = [];
     if(!nc) {
-      this.notify('Model appears to contain no loops');
+      if(MODEL.cycle_search) {
+        this.notify('Still searching for loops...');
+        return;
+      }
+      if(MODEL.cycle_view === 'selection') {
+        this.notify('No loops through the selected factors and links');
+      } else {
+        this.notify('Model appears to contain no loops');
+      }
       MODEL.show_all_cycles = false;
       MODEL.selected_cycle = -1;
+      this.drawDiagram(MODEL);
       return;
     }
     if(event.altKey) {
@@ -3055,17 +3270,177 @@ console.log('HERE name conflicts', name_conflicts, mapping);
       MODEL.selected_cycle = -1;
     } else {
       MODEL.show_all_cycles = false;
-      if(MODEL.selected_cycle < 0) {
-        MODEL.selected_cycle = 0;
+      let i = vc.indexOf(MODEL.selected_cycle);
+      if(i < 0) {
+        i = 0;
       } else if(event.shiftKey) {
-        MODEL.selected_cycle--;
-        if(MODEL.selected_cycle < 0) MODEL.selected_cycle = nc - 1;
+        i--;
+        if(i < 0) i = nc - 1;
       } else {
-        MODEL.selected_cycle++;
-        if(MODEL.selected_cycle >= nc) MODEL.selected_cycle = 0;        
+        i++;
+        if(i >= nc) i = 0;
       }
+      MODEL.selected_cycle = vc[i];
     }
+    this.showCycleStatus();
+    this.drawDiagram(MODEL);
+    LOOP_MANAGER.updateDialog();
+  }
+  
+  setCycleView(view) {
+    // Show only the loops in the specified view.
+    MODEL.cycle_view = view;
+    MODEL.visible_cycles = null;
+    const vc = MODEL.visibleCycles;
+    if(vc.indexOf(MODEL.selected_cycle) < 0) MODEL.selected_cycle = -1;
+    this.notify(`Loop view: ${this.CYCLE_VIEWS[view]} ` +
+        `(${pluralS(vc.length, 'loop')})`);
     this.drawDiagram(MODEL);
+    LOOP_MANAGER.updateDialog();
+  }
+  
+  showCycleStatus() {
+    // Display the selected loop on the status line, or the number of
+    // loops per polarity when all loops are highlighted.
+    if(MODEL.selected_cycle >= 0) {
+      this.setMessage(MODEL.cycleDescription(MODEL.selected_cycle));
+    } else if(MODEL.show_all_cycles) {
+      const
+          labels = MODEL.cycleLabels,
+          cl = MODEL.visibleCycles.map((i) => labels[i]),
+          r = cl.filter((l) => l.startsWith('R')).length,
+          b = cl.filter((l) => l.startsWith('B')).length;
+      this.setMessage(`Showing ${this.CYCLE_VIEWS[MODEL.cycle_view]}: ` +
+          `${pluralS(cl.length, 'loop')}, ${r} reinforcing, ` +
+          `${b} balancing, ${cl.length - r - b} undetermined`);
+    } else {
+      this.setMessage('');
+    }
+  }
+  
+  //
+  // Structural validation
+  //
+  
+  checkModel() {
+    // Add structural issues to the issue panel, and report their number.
+    const n = VM.checkModel();
+    if(n) {
+      this.warn(pluralS(n, 'structural issue') +
+          ' found - click on \u25C1 or \u25B7 to view them');
+    } else {
+      this.notify('No structural issues found');
+    }
+  }
+  
+  //
+  // Impact of actions and context factors on outcomes
+  //
+  
+  showImpactDialog() {
+    this.updateImpactTable();
+    this.modals.impact.show();
+  }
+  
+  impactSymbol(imp, html=true) {
+    // Return symbol for the net impact `imp`: + or - if all paths have
+    // the same sign, +/- if paths conflict, and ? if undetermined.
+    if(!imp.paths) return '';
+    if(imp.conflict) return (html ? '\u00B1' : '+/-');
+    if(imp.sign > 0) return '+';
+    if(imp.sign < 0) return (html ? '\u2212' : '-');
+    return '?';
+  }
+  
+  updateImpactTable() {
+    // Compute the impact table for the selected source type, and then
+    // display it as a matrix with a row per source and a column per
+    // outcome.
+    // NOTE: Results of an analysis that has been superseded are ignored.
+    const
+        md = this.modals.impact,
+        analysis = {};
+    this.impact_analysis = analysis;
+    this.impact_table = null;
+    md.element('table').innerHTML = '';
+    md.element('status').innerHTML = 'Analyzing causal paths\u2026';
+    this.waitingCursor();
+    MODEL.impactTable(parseInt(md.element('type').value), (tbl) => {
+        if(UI.impact_analysis !== analysis) return;
+        UI.impact_analysis = null;
+        UI.impact_table = tbl;
+        UI.normalCursor();
+        const html = ['<tr><th></th>'];
+        for(let j = 0; j < tbl.outcomes.length; j++) {
+          const n = tbl.outcomes[j].displayName;
+          html.push('<th title="', safeDoubleQuotes(n), '">', n, '</th>');
+        }
+        html.push('</tr>');
+        let nc = 0,
+            nt = 0;
+        for(let i = 0; i < tbl.sources.length; i++) {
+          const
+              s = tbl.sources[i],
+              row = tbl.impact[s.identifier];
+          // NOTE: Mark sources for which not all paths have been analyzed.
+          if(tbl.truncated[s.identifier]) {
+            nt++;
+            html.push('<tr><td class="impact-source" ',
+                'title="Not all paths have been analyzed">',
+                s.displayName, ' *</td>');
+          } else {
+            html.push('<tr><td class="impact-source">', s.displayName,
+                '</td>');
+          }
+          for(let j = 0; j < tbl.outcomes.length; j++) {
+            const
+                imp = row[tbl.outcomes[j].identifier],
+                cls = (imp.conflict ? ' class="impact-conflict"' :
+                    (imp.paths && !imp.sign ?
+                        ' class="impact-undetermined"' : ''));
+            if(imp.conflict) nc++;
+            html.push('<td', cls, ' title="', pluralS(imp.paths, 'path'),
+                ': ', imp.positive, ' positive, ', imp.negative,
+                ' negative, ', imp.undetermined, ' undetermined">',
+                UI.impactSymbol(imp),
+                (imp.paths ? ` <sub>${imp.paths}</sub>` : ''), '</td>');
+          }
+          html.push('</tr>');
+        }
+        md.element('table').innerHTML = html.join('');
+        let msg = pluralS(tbl.sources.length, 'source') + ', ' +
+            pluralS(tbl.outcomes.length, 'outcome') + ', ' +
+            pluralS(nc, 'conflict');
+        if(nt) {
+          msg += ' (NOTE: path analysis stopped after ' +
+              `${CONFIGURATION.max_paths} paths, so not all paths from ` +
+              `${pluralS(nt, 'source')} (*) have been analyzed)`;
+        }
+        md.element('status').innerHTML = msg;
+      });
+  }
+  
+  copyImpactTable() {
+    // Copy the impact table as tab-separated text, with the number of
+    // paths in parentheses.
+    if(!this.impact_table) return;
+    const
+        tbl = this.impact_table,
+        lines = [['Impact of'].concat(
+            tbl.outcomes.map((o) => o.displayName)).join('\t')];
+    for(let i = 0; i < tbl.sources.length; i++) {
+      const
+          s = tbl.sources[i],
+          row = tbl.impact[s.identifier],
+          cells = [s.displayName];
+      for(let j = 0; j < tbl.outcomes.length; j++) {
+        const imp = row[tbl.outcomes[j].identifier];
+        cells.push(imp.paths ?
+            `${this.impactSymbol(imp, false)} (${imp.paths})` : '');
+      }
+      lines.push(cells.join('\t'));
+    }
+    this.copyStringToClipboard(lines.join('\n'));
   }
   
   //
@@ -3082,7 +3457,23 @@ console.log('HERE name conflicts', name_conflicts, mapping);
     md.element('time-scale').value = model.time_scale;
     md.element('time-unit').value = model.time_unit;
     md.element('steps').value = model.run_length;
+    md.element('replications').value = model.replications;
+    md.element('random-seed').value = model.random_seed;
+    md.element('simulation-mode').value = model.simulation_mode;
+    md.element('update-scheme').value = model.update_scheme;
+    md.element('fcm-squashing').value = model.fcm_squashing;
+    md.element('fcm-rule').value = model.fcm_rule;
+    md.element('fcm-tolerance').value = model.fcm_tolerance;
+    this.updateSimulationModeRows();
     this.setBox('settings-align-to-grid', model.align_to_grid);
+    this.setBox('settings-run-to-end', model.run_to_end);
+    md.element('stop-condition').value = model.stop_condition.text;
+    const il = [];
+    for(let i = 0; i < model.interventions.length; i++) {
+      const iv = model.interventions[i];
+      if(iv.valid) il.push(iv.asString);
+    }
+    md.element('schedule').value = il.join('\n');
     md.show('name');
   }
   
@@ -3095,6 +3486,26 @@ console.log('HERE name conflicts', name_conflicts, mapping);
     if(ts === false) return false;
     const rl = this.validNumericInput('settings-steps', 'run length');
     if(rl === false) return false;
+    const nr = this.validNumericInput('settings-replications',
+        'number of replications');
+    if(nr === false) return false;
+    const rs = this.validNumericInput('settings-random-seed', 'random seed');
+    if(rs === false) return false;
+    const ft = this.validNumericInput('settings-fcm-tolerance',
+        'FCM tolerance');
+    if(ft === false) return false;
+    // NOTE: Variables in the stop condition may be any factor or link.
+    const
+        sci = md.element('stop-condition'),
+        xp = new ExpressionParser(monoSpacedVariables(sci.value.trim()),
+            model);
+    if(xp.error) {
+      this.warn(`Invalid stop condition: ${xp.error}`);
+      sci.focus();
+      return false;
+    }
+    const sched = this.validSchedule('settings-schedule');
+    if(sched === false) return false;
     model.name = md.element('name').value.trim();
     // Display model name in browser unless blank
     document.title = model.name || 'CLAST';
@@ -3106,10 +3517,45 @@ console.log('HERE name conflicts', name_conflicts, mapping);
     const tu = md.element('time-unit').value;
     reset = reset || (tu != model.time_unit);
     model.time_unit = (tu || CONFIGURATION.default_time_unit);
+    const sm = md.element('simulation-mode').value;
+    if(sm !== model.simulation_mode) {
+      // NOTE: Results obtained in another mode are no longer valid.
+      model.simulation_mode = sm;
+      reset = true;
+    }
+    const rte = UI.boxChecked('settings-run-to-end');
+    if(rte !== model.run_to_end || xp.expr !== model.stop_condition.text) {
+      model.run_to_end = rte;
+      model.stop_condition.text = xp.expr;
+      reset = true;
+    }
+    // NOTE: Compare schedules by their string representation.
+    const
+        ns = sched.map((iv) => iv.asString).join('\n'),
+        os = model.interventions.map((iv) => iv.asString).join('\n');
+    if(ns !== os) {
+      model.interventions = sched;
+      reset = true;
+    }
+    const us = md.element('update-scheme').value;
+    if(us !== model.update_scheme) {
+      model.update_scheme = us;
+      reset = true;
+    }
+    const
+        fs = md.element('fcm-squashing').value,
+        fr = md.element('fcm-rule').value;
+    reset = reset || (model.fcm && (fs !== model.fcm_squashing ||
+        fr !== model.fcm_rule || ft !== model.fcm_tolerance));
+    model.fcm_squashing = fs;
+    model.fcm_rule = fr;
+    model.fcm_tolerance = Math.max(0, ft);
     model.align_to_grid = cb;
     model.time_scale = ts;
     model.grid_pixels = Math.floor(px);
     model.run_length = Math.max(1, Math.floor(rl));
+    model.replications = Math.max(1, Math.floor(nr));
+    model.random_seed = Math.max(0, Math.floor(rs));
     // Close the dialog.
     md.hide();
     // Ensure that model documentation can no longer be edited.
@@ -3117,12 +3563,23 @@ console.log('HERE name conflicts', name_conflicts, mapping);
     // Reset model if needed
     if(reset) {
       model.resetExpressions();
-      //CHART_MANAGER.updateDialog();
+      CHART_MANAGER.updateDialog();
       redraw = true;
     }
     if(redraw) this.drawDiagram(model);
   }
   
+  updateSimulationModeRows() {
+    // Show FCM settings only when FCM mode is selected.
+    // NOTE: As FCMs are always updated synchronously, the update scheme
+    // then is not shown.
+    const
+        md = this.modals.settings,
+        fcm = md.element('simulation-mode').value === 'fcm';
+    md.element('fcm-row').style.display = (fcm ? 'table-row' : 'none');
+    md.element('update-row').style.display = (fcm ? 'none' : 'table-row');
+  }
+  
   // Note modal
 
   showNotePropertiesDialog(n=null) {
@@ -3164,6 +3621,20 @@ console.log('HERE name conflicts', name_conflicts, mapping);
       eb.style.display = 'none';
       an.style.width = '223px';
     }
+    // Saturation bounds apply only to factors.
+    const isf = !node || node instanceof Factor;
+    md.element('bounds-row').style.display = (isf ? 'table-row' : 'none');
+    md.element('clamped-row').style.display = (isf ? 'table-row' : 'none');
+    md.element('kind-row').style.display = (isf ? 'table-row' : 'none');
+    md.element('kind').value = (node && isf ? node.kind : 'variable');
+    md.element('aggregation-row').style.display =
+        (isf ? 'table-row' : 'none');
+    md.element('aggregation').value = (node && isf ? node.aggregation : 'sum');
+    this.setBox('add-node-clamped', node && isf && node.clamped);
+    md.element('lower').value = (node && isf && node.hasLowerBound ?
+        node.lower_bound : '');
+    md.element('upper').value = (node && isf && node.hasUpperBound ?
+        node.upper_bound : '');
     md.show('name');
     this.edited_object = node;
   }
@@ -3174,6 +3645,25 @@ console.log('HERE name conflicts', name_conflicts, mapping);
     const
         md = this.modals['add-node'],
         node = this.edited_object;
+    if(node instanceof Factor) {
+      // Validate the saturation bounds (blank means unbounded).
+      const b = this.validBounds();
+      if(!b) return false;
+      node.lower_bound = b[0];
+      node.upper_bound = b[1];
+      node.clamped = UI.boxChecked('add-node-clamped');
+      const
+          nk = md.element('kind').value,
+          na = md.element('aggregation').value;
+      if(node.kind !== nk || node.aggregation !== na) {
+        node.kind = nk;
+        node.aggregation = na;
+        // NOTE: Results are no longer valid, and the connection points of
+        // links change with the shape, so the diagram must be redrawn.
+        MODEL.resetExpressions();
+        this.drawDiagram(MODEL);
+      }
+    }
     // Rename object if name and/or actor have changed
     let nn = md.element('name').value.trim(),
         na = md.element('actor').value.trim(),
@@ -3193,6 +3683,26 @@ console.log('HERE name conflicts', name_conflicts, mapping);
     return true;
   }
 
+  validBounds() {
+    // Return the pair [lower, upper] entered in the node modal, or FALSE
+    // if these bounds are invalid.
+    const
+        md = this.modals['add-node'],
+        lb = (md.element('lower').value.trim() ?
+            this.validNumericInput('add-node-lower', 'lower bound') :
+            VM.MINUS_INFINITY),
+        ub = (lb !== false && md.element('upper').value.trim() ?
+            this.validNumericInput('add-node-upper', 'upper bound') :
+            VM.PLUS_INFINITY);
+    if(lb === false || ub === false) return false;
+    if(lb > ub) {
+      this.warn('Lower bound cannot exceed upper bound');
+      md.element('lower').focus();
+      return false;
+    }
+    return [lb, ub];
+  }
+  
   cancelAddNode() {
     // Not only hides the node modal, but also clears the edited object.
     const
@@ -3245,6 +3755,8 @@ console.log('HERE name conflicts', name_conflicts, mapping);
     } else {
       ebtn.classList.add('off');      
     }
+    md.element('delay').value = (link.delay > 0 ? link.delay : '');
+    md.element('delay-unit').value = link.delay_unit;
     md.show();
   }
   
@@ -3283,9 +3795,18 @@ console.log('HERE name conflicts', name_conflicts, mapping);
         md = this.modals['edit-link'],
         link = this.edited_object;
     if(link && link instanceof Link) {
+      const d = this.validNumericInput('edit-link-delay', 'link delay');
+      if(d === false) return;
+      if(d < 0) {
+        this.warn('Link delay cannot be negative');
+        md.element('delay').focus();
+        return;
+      }
       const
           type = md.element('type').innerText,
           x = link.expression;
+      link.delay = d;
+      link.delay_unit = md.element('delay-unit').value;
       if(type === 'increase') {
         x.text = '1';
       } else if(type === 'decrease') {
@@ -3298,6 +3819,8 @@ console.log('HERE name conflicts', name_conflicts, mapping);
     this.edited_object = false;
     md.hide();
     this.drawObject(link);
+    // NOTE: Loop polarities may have changed.
+    this.updateControllerDialogs('L');
   }
   
   cancelEditLink() {
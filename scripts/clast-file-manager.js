@@ -186,17 +186,123 @@ class FileManager {
     }
   }
   
-  pushOutSVG(svg) {
+  pushOutSVG(svg, name='') {
+    // Save `svg` as file. By default, the file is named after the focal
+    // cluster or the model.
+    name = fileName(name || (MODEL.focal_cluster.cluster ?
+        MODEL.focal_cluster.displayName : MODEL.name)) || 'CLAST-model';
+    this.pushOutFile(svg, name + '.svg', 'image/svg+xml');
+  }
+  
+  pushOutFile(data, name, type) {
+    // Let the browser download string `data` as file `name`.
     const
-        blob = new Blob([svg], {'type': 'image/svg+xml'}),
-        e = document.getElementById('svg-saver'),
-        name = fileName(MODEL.focal_cluster.cluster ?
-            MODEL.focal_cluster.displayName : MODEL.name) ||
-        'CLAST-model';
-    e.download = name + '.svg';
-    e.type = 'image/svg+xml';
+        blob = new Blob([data], {'type': type}),
+        e = document.getElementById('svg-saver');
+    e.download = name;
+    e.type = type;
     e.href = (window.URL || webkitURL).createObjectURL(blob);
     e.click();
   }
+  
+  promptToExport() {
+    // Show the "Export results" modal.
+    if(!MODEL.solved) {
+      UI.notify('Run the model to obtain results that can be exported');
+      return;
+    }
+    UI.setBox('export-decimal-comma', CONFIGURATION.decimal_comma);
+    this.updateExportRows();
+    UI.modals.export.show('format');
+  }
+  
+  updateExportRows() {
+    // Decimal comma can be used only when values are separated by tabs.
+    const md = UI.modals.export;
+    md.element('comma-row').style.display =
+        (md.element('format').value === 'tsv' ? 'table-row' : 'none');
+  }
+  
+  exportResults() {
+    // Write the status of all factors, and the multipliers of the links
+    // that have been chosen, for each time step as CSV, TSV or JSON file.
+    const
+        md = UI.modals.export,
+        fmt = md.element('format').value,
+        lm = md.element('links').value,
+        dc = fmt === 'tsv' && UI.boxChecked('export-decimal-comma'),
+        vl = [],
+        ll = [];
+    for(let k in MODEL.factors) if(MODEL.factors.hasOwnProperty(k)) {
+      vl.push(MODEL.factors[k]);
+    }
+    if(lm === 'all') {
+      for(let k in MODEL.links) if(MODEL.links.hasOwnProperty(k)) {
+        ll.push(MODEL.links[k]);
+      }
+    } else if(lm === 'chart') {
+      for(let i = 0; i < CHART_MANAGER.variables.length; i++) {
+        const v = CHART_MANAGER.variables[i];
+        if(v instanceof Link) ll.push(v);
+      }
+    }
+    const cfn = (a, b) => UI.compareFullNames(a.displayName, b.displayName);
+    vl.sort(cfn);
+    ll.sort(cfn);
+    vl.push(...ll);
+    const
+        tmax = MODEL.run_length,
+        // Clock time is computed as for the status bar.
+        dt = MODEL.timeStepDuration,
+        name = fileName(MODEL.name) || 'CLAST-model',
+        // NOTE: Special values are written as labels.
+        value = (v) => {
+            const s = VM.specialValueLabel(v);
+            return (dc ? s.replace('.', ',') : s);
+          };
+    md.hide();
+    if(fmt === 'json') {
+      const json = {model: MODEL.name, mode: MODEL.simulation_mode,
+          time_step: MODEL.time_scale, time_unit: MODEL.time_unit,
+          t: [], clock_time: [], factors: {}, links: {}};
+      for(let t = 0; t <= tmax; t++) {
+        json.t.push(t);
+        json.clock_time.push(hoursToString(t * dt));
+      }
+      for(let i = 0; i < vl.length; i++) {
+        const
+            v = vl[i],
+            data = [];
+        for(let t = 0; t <= tmax; t++) {
+          const x = CHART_MANAGER.valueAt(v, t);
+          // NOTE: In JSON, only special values are strings.
+          data.push(VM.specialValue(x)[0] ? value(x) : x);
+        }
+        json[v instanceof Link ? 'links' : 'factors'][v.displayName] = data;
+      }
+      this.pushOutFile(JSON.stringify(json, null, 2),
+          name + '-results.json', 'application/json');
+      return;
+    }
+    // NOTE: In CSV, names that contain a separator or quote are quoted.
+    const
+        sep = (fmt === 'csv' ? ',' : '\t'),
+        field = (s) => {
+            if(sep === '\t') return s.replace(/\t/g, ' ');
+            if(/[,"\n]/.test(s)) return '"' + s.replace(/"/g, '""') + '"';
+            return s;
+          },
+        lines = [['t', 'clock time'].concat(
+            vl.map((v) => field(v.displayName))).join(sep)];
+    for(let t = 0; t <= tmax; t++) {
+      const row = [t, hoursToString(t * dt)];
+      for(let i = 0; i < vl.length; i++) {
+        row.push(value(CHART_MANAGER.valueAt(vl[i], t)));
+      }
+      lines.push(row.join(sep));
+    }
+    this.pushOutFile(lines.join('\n'), `${name}-results.${fmt}`,
+        (fmt === 'csv' ? 'text/csv' : 'text/tab-separated-values'));
+  }
    
 } // END of class FileManager
@@ -318,20 +318,28 @@ class Finder {
   }
   
   reveal(id) {
-    // Show selected occurrence.
-    const
-        se = this.selected_entity,
-        obj = (se ? MODEL.objectByID(id) : null);
-    if(!obj) console.log('Cannot reveal ID', id);
-    if(obj instanceof Factor) {
-      // @@TO DO: iterate through list of clusters containing this factor.
-    } else if(obj instanceof Link) {
+    // Make the cluster where the entity identified by `id` is shown the
+    // focal cluster, and select this entity.
+    const obj = MODEL.objectByID(id);
+    if(!obj) {
+      console.log('Cannot reveal ID', id);
+      return null;
+    }
+    let c = null;
+    if(obj instanceof Link) {
+      // Links are shown in the "lowest" cluster that contains both nodes.
+      c = obj.from_factor.parent;
+      while(c && !c.containsFactor(obj.to_factor)) c = c.parent;
     } else if(obj.parent) {
-      // Make parent cluster focal...
-      UI.makeFocalCluster(obj.parent);
+      c = obj.parent;
+    }
+    if(c) {
+      // Make cluster focal...
+      UI.makeFocalCluster(c);
       // ... and select the entity.
       MODEL.select(obj);
-      UI.scrollIntoView(obj.shape.element.childNodes[0]);
+      const el = obj.shape.element;
+      if(el && el.childNodes.length) UI.scrollIntoView(el.childNodes[0]);
     }
     // NOTE: Return the object to save a second lookup by revealExpression.
     return obj;
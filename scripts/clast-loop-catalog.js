@@ -0,0 +1,197 @@
+/*
+CLAST is an executable graphical editor for causal loop diagrams.
+This tool is developed by Pieter Bots at Delft University of Technology.
+
+This JavaScript file (clast-loop-catalog.js) provides the GUI functionality
+for the CLAST "loop catalog": the draggable/resizable dialog that lists the
+named loops of the model, and the modal dialog for editing their name,
+narrative, polarity and importance.
+*/
+
+/*
+Copyright (c) 2024 Delft University of Technology
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights to
+use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+of the Software, and to permit persons to whom the Software is furnished to do
+so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+// CLASS LoopCatalog provides the loop catalog dialog functionality
+class LoopCatalog {
+  constructor() {
+    this.dialog = UI.draggableDialog('catalog');
+    UI.resizableDialog('catalog', 'LOOP_CATALOG');
+    this.close_btn = document.getElementById('catalog-close-btn');
+    this.add_btn = document.getElementById('catalog-add-btn');
+    this.edit_btn = document.getElementById('catalog-edit-btn');
+    this.delete_btn = document.getElementById('catalog-delete-btn');
+    // Make toolbar buttons responsive.
+    this.close_btn.addEventListener('click', (e) => UI.toggleDialog(e));
+    this.add_btn.addEventListener('click', () => LOOP_CATALOG.addLoop());
+    this.edit_btn.addEventListener('click', () => LOOP_CATALOG.showLoopModal());
+    this.delete_btn.addEventListener('click',
+        () => LOOP_CATALOG.deleteLoop());
+    this.table = document.getElementById('catalog-table');
+    this.status = document.getElementById('catalog-status');
+    // Modal related to this dialog
+    this.loop_modal = new ModalDialog('loop');
+    this.loop_modal.ok.addEventListener('click',
+        () => LOOP_CATALOG.modifyLoop());
+    this.loop_modal.cancel.addEventListener('click',
+        () => LOOP_CATALOG.loop_modal.hide());
+    // Set own properties.
+    this.visible = false;
+    this.reset();
+  }
+
+  reset() {
+    this.selected_key = '';
+    this.entries = [];
+  }
+  
+  get selectedLoop() {
+    // Return the selected catalog entry (if any).
+    return (MODEL && MODEL.loop_catalog[this.selected_key]) || null;
+  }
+  
+  updateDialog() {
+    // Display the list of named loops, with important loops first.
+    if(!MODEL) return;
+    const
+        lc = MODEL.loop_catalog,
+        pnames = ['balancing', 'undetermined', 'reinforcing'],
+        html = [];
+    let stale = 0;
+    this.entries.length = 0;
+    for(let k in lc) if(lc.hasOwnProperty(k)) this.entries.push(lc[k]);
+    this.entries.sort((a, b) => (b.important - a.important) ||
+        a.displayName.localeCompare(b.displayName));
+    if(!lc[this.selected_key]) this.selected_key = '';
+    for(let i = 0; i < this.entries.length; i++) {
+      const
+          nl = this.entries[i],
+          c = nl.cycle,
+          p = (c ? MODEL.cyclePolarity(c) : 0);
+      let note = '';
+      // Flag entries that are no longer a loop, or that have a documented
+      // polarity that contradicts the polarity inferred from their links.
+      if(!c) {
+        note = 'No longer a loop';
+        stale++;
+      } else if(p && p !== nl.polarity) {
+        note = `Links indicate ${pnames[p + 1]}`;
+      }
+      html.push('<tr class="dataset',
+          (nl.key === this.selected_key ? ' sel-set' : ''),
+          (c ? '' : ' catalog-stale'),
+          '" onclick="LOOP_CATALOG.selectLoop(', i,
+          ');" ondblclick="LOOP_CATALOG.showLoopModal();" title="',
+          safeDoubleQuotes(nl.narrative), '"><td class="catalog-star">',
+          (nl.important ? '\u2605' : ''), '</td><td>', nl.displayName,
+          '</td><td>', pnames[nl.polarity + 1], '</td><td>',
+          nl.link_ids.length, '</td><td class="catalog-note">', note,
+          '</td></tr>');
+    }
+    this.table.innerHTML = html.join('');
+    let msg = pluralS(this.entries.length, 'named loop');
+    if(stale) msg += ` (${stale} no longer in the model)`;
+    this.status.innerHTML = msg;
+  }
+  
+  selectLoop(i) {
+    // Select catalog entry `i`, and highlight its loop in the diagram.
+    const nl = this.entries[i];
+    this.selected_key = nl.key;
+    const n = MODEL.cycleNumber(nl);
+    if(n >= 0) {
+      MODEL.show_all_cycles = false;
+      MODEL.highlighted_paths = [];
+      MODEL.selected_cycle = n;
+      UI.showCycleStatus();
+      UI.drawDiagram(MODEL);
+      LOOP_MANAGER.updateDialog();
+    } else if(nl.cycle) {
+      // NOTE: The loop search may have been stopped before finding it.
+      UI.setMessage(MODEL.pathAsString(nl.cycle));
+    } else {
+      UI.setMessage(`Loop "${nl.displayName}" no longer exists`);
+    }
+    this.updateDialog();
+  }
+  
+  addLoop() {
+    // Add the highlighted loop to the catalog, and prompt for its name.
+    const n = MODEL.selected_cycle;
+    if(n < 0) {
+      UI.notify('First select the loop to be added');
+      return;
+    }
+    const nl = MODEL.addLoopToCatalog(MODEL.cycle_list[n]);
+    this.selected_key = nl.key;
+    this.updateDialog();
+    this.showLoopModal();
+  }
+  
+  deleteLoop() {
+    // Remove the selected entry from the catalog.
+    const nl = this.selectedLoop;
+    if(nl) {
+      delete MODEL.loop_catalog[nl.key];
+      this.selected_key = '';
+      UI.notify(`Loop "${nl.displayName}" removed from catalog`);
+      this.updateDialog();
+      LOOP_MANAGER.updateDialog();
+    }
+  }
+  
+  showLoopModal() {
+    // Display modal for editing the selected catalog entry.
+    const
+        nl = this.selectedLoop,
+        md = this.loop_modal;
+    if(!nl) {
+      UI.notify('First select a loop in the catalog');
+      return;
+    }
+    const c = nl.cycle;
+    md.element('path').innerHTML = (c ? MODEL.pathAsString(c) :
+        '(no longer a loop)');
+    md.element('name').value = nl.name;
+    md.element('narrative').value = nl.narrative;
+    md.element('polarity').value = nl.polarity;
+    UI.setBox('loop-important', nl.important);
+    md.show('name');
+  }
+  
+  modifyLoop() {
+    // Update the properties of the edited catalog entry.
+    const
+        nl = this.selectedLoop,
+        md = this.loop_modal;
+    if(nl) {
+      nl.name = md.element('name').value.trim();
+      nl.narrative = md.element('narrative').value.trim();
+      nl.polarity = parseInt(md.element('polarity').value);
+      nl.important = UI.boxChecked('loop-important');
+    }
+    md.hide();
+    this.updateDialog();
+    LOOP_MANAGER.updateDialog();
+    if(MODEL.selected_cycle >= 0) UI.showCycleStatus();
+  }
+  
+} // END of class LoopCatalog
@@ -0,0 +1,176 @@
+/*
+CLAST is an executable graphical editor for causal loop diagrams.
+This tool is developed by Pieter Bots at Delft University of Technology.
+
+This JavaScript file (clast-loop-manager.js) provides the GUI functionality
+for the CLAST "loop manager": the draggable/resizable dialog that lists
+the loops in the model diagram with their polarity, and permits selecting
+a loop to highlight it in the diagram.
+*/
+
+/*
+Copyright (c) 2024 Delft University of Technology
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights to
+use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+of the Software, and to permit persons to whom the Software is furnished to do
+so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+// CLASS LoopManager provides the loop list dialog functionality
+class LoopManager {
+  constructor() {
+    this.dialog = UI.draggableDialog('loops');
+    UI.resizableDialog('loops', 'LOOP_MANAGER');
+    this.close_btn = document.getElementById('loops-close-btn');
+    // Make toolbar buttons responsive.
+    this.close_btn.addEventListener('click', (e) => UI.toggleDialog(e));
+    this.view = document.getElementById('loops-view');
+    this.view.addEventListener('change',
+        () => UI.setCycleView(LOOP_MANAGER.view.value));
+    this.table = document.getElementById('loops-table');
+    this.status = document.getElementById('loops-status');
+    // Set own properties.
+    this.visible = false;
+    this.reset();
+  }
+
+  reset() {
+    // By default, loops are listed in order of detection.
+    this.sort_column = 'nr';
+    this.sort_ascending = true;
+  }
+  
+  sortBy(col) {
+    // Sort list on column `col`, or reverse the sort order if the list
+    // was already sorted on this column.
+    if(col === this.sort_column) {
+      this.sort_ascending = !this.sort_ascending;
+    } else {
+      this.sort_column = col;
+      this.sort_ascending = true;
+    }
+    this.updateDialog();
+  }
+  
+  get sortedLoops() {
+    // Return list of tuples [nr, label, polarity, length, path string,
+    // family, name] for the loops in the current loop view, sorted according
+    // to the sort settings of this loop manager.
+    const
+        labels = MODEL.cycleLabels,
+        family = MODEL.cycleFamilies.family,
+        vc = MODEL.visibleCycles,
+        cols = ['nr', 'label', 'polarity', 'length', 'loop', 'family',
+            'name'],
+        ci = cols.indexOf(this.sort_column),
+        dir = (this.sort_ascending ? 1 : -1),
+        loops = [];
+    for(let i = 0; i < vc.length; i++) {
+      const
+          c = MODEL.cycle_list[vc[i]],
+          nl = MODEL.catalogedLoop(c);
+      loops.push([vc[i], labels[vc[i]], MODEL.cyclePolarity(c), c.length - 1,
+          MODEL.pathAsString(c), family[vc[i]], (nl ? nl.name : '')]);
+    }
+    loops.sort((a, b) => {
+        let d = 0;
+        if(ci === 1) {
+          // Sort labels first on polarity letter and then on number.
+          d = a[1].charAt(0).localeCompare(b[1].charAt(0)) ||
+              parseInt(a[1].substring(1)) - parseInt(b[1].substring(1));
+        } else if(ci === 4 || ci === 6) {
+          d = a[ci].localeCompare(b[ci]);
+        } else {
+          d = a[ci] - b[ci];
+        }
+        // NOTE: Always use loop number as tie-breaker.
+        return dir * d || a[0] - b[0];
+      });
+    return loops;
+  }
+  
+  updateDialog() {
+    // Display the (sorted) list of loops.
+    if(!MODEL) return;
+    const
+        loops = this.sortedLoops,
+        pnames = ['balancing', 'undetermined', 'reinforcing'],
+        arrow = (col) => (col !== this.sort_column ? '' :
+            (this.sort_ascending ? ' &#x25B4;' : ' &#x25BE;')),
+        hdr = (col, title) => ['<th onclick="LOOP_MANAGER.sortBy(\'', col,
+            '\');">', title, arrow(col), '</th>'].join(''),
+        html = ['<tr>', hdr('nr', '#'), hdr('label', 'Label'),
+            hdr('name', 'Name'), hdr('polarity', 'Polarity'),
+            hdr('length', 'Links'),
+            hdr('family', 'Family'), hdr('loop', 'Loop'), '</tr>'],
+        cores = MODEL.cycleFamilies.cores;
+    this.view.value = MODEL.cycle_view;
+    for(let i = 0; i < loops.length; i++) {
+      const
+          l = loops[i],
+          sel = (l[0] === MODEL.selected_cycle ? ' sel-set' : '');
+      html.push('<tr id="loop-', l[0], '" class="dataset', sel,
+          '" onclick="LOOP_MANAGER.selectLoop(', l[0], ');"><td>', l[0] + 1,
+          '</td><td class="loop-label">', l[1], '</td><td>', l[6],
+          '</td><td>', pnames[l[2] + 1], '</td><td>', l[3],
+          '</td><td title="Core: ', pluralS(cores[l[5]].length, 'shared link'),
+          '">F', l[5] + 1,
+          '</td><td title="', safeDoubleQuotes(l[4]), '">', l[4],
+          '</td></tr>');
+    }
+    this.table.innerHTML = html.join('');
+    let msg = pluralS(loops.length, 'loop');
+    if(MODEL.cycle_view !== 'all') {
+      msg += ` (of ${MODEL.cycle_list.length})`;
+    }
+    if(MODEL.cycle_list.length) {
+      msg += ` in ${pluralS(cores.length, 'family', 'families')}`;
+    }
+    if(MODEL.cycle_search) {
+      msg += ' found so far';
+    } else if(MODEL.cycles_truncated) {
+      msg += ' (search was stopped at this maximum)';
+    }
+    this.status.innerHTML = msg;
+    UI.scrollIntoView(document.getElementById('loop-' + MODEL.selected_cycle));
+  }
+  
+  selectLoop(n) {
+    // Highlight loop `n` in the diagram, or cancel highlighting if this
+    // loop was already selected.
+    MODEL.show_all_cycles = false;
+    MODEL.highlighted_paths = [];
+    MODEL.selected_cycle = (n === MODEL.selected_cycle ? -1 : n);
+    UI.showCycleStatus();
+    UI.drawDiagram(MODEL);
+    this.updateDialog();
+  }
+  
+  upDownKey(dir) {
+    // Select row above or below the selected one (if possible).
+    const srl = this.table.getElementsByClassName('sel-set');
+    if(srl.length > 0) {
+      const r = this.table.rows[srl[0].rowIndex + dir];
+      // NOTE: Row 0 is the table header.
+      if(r && r.rowIndex > 0) {
+        UI.scrollIntoView(r);
+        r.dispatchEvent(new Event('click'));
+      }
+    }
+  }
+  
+} // END of class LoopManager
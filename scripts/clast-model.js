@@ -55,9 +55,40 @@ class CLASTModel {
     this.actor_list = [];
     // Inferred properties of graph: paths and cycles.
     this.cycle_list = [];
-    this.path_matrix = {};
+    // NOTE: The cycle list is compiled in the background; while this is
+    // in progress, `cycle_search` is not null.
+    this.cycle_search = null;
+    this.cycles_truncated = false;
+    // NOTE: Likewise, `attractor_search` is not null while attractors are
+    // being identified.
+    this.attractor_search = null;
     this.selected_cycle = -1;
     this.show_all_cycles = false;
+    // The loop navigator shows either all loops, only the independent
+    // loops, or only the loops through the selected factors and links.
+    this.cycle_view = 'all';
+    // NOTE: The list of loops in this view is cached, as it is needed
+    // for each link when the diagram is drawn.
+    this.visible_cycles = null;
+    // Cycle basis and loop families are inferred only when needed.
+    this.cycle_basis = null;
+    this.cycle_families = null;
+    // Causal paths (lists of factors) can be highlighted like cycles.
+    this.highlighted_paths = [];
+    // A factor state (lookup of -1, 0 or +1 by factor ID) can be shown on
+    // the diagram instead of simulation results.
+    this.shown_state = null;
+    // The influence of links on outcomes (lookup of a number between 0
+    // and 1 by link ID) can be shown by drawing links thicker.
+    this.link_influence = null;
+    // The loop catalog contains named loops, keyed by the (sorted) list
+    // of identifiers of their links, as loop numbers are not persistent.
+    this.loop_catalog = {};
+    // The intervention schedule is a list of timed changes of factor status
+    // or link multipliers.
+    this.interventions = [];
+    // Scenarios are named sets of changes to the model.
+    this.scenarios = [];
 
     // Model settings.
     this.grid_pixels = 20;
@@ -65,6 +96,37 @@ class CLASTModel {
     this.time_scale = 1;
     this.time_unit = CONFIGURATION.default_time_unit;
     this.run_length = 10;
+    // In "sign" mode, factor status is -1, 0 or +1, and link multipliers
+    // only act as signs; in "continuous" mode, factor status is a real
+    // number, and link multipliers act as gains.
+    // In "fcm" mode, the model is run as a fuzzy cognitive map: factor
+    // status is an activation level, and link multipliers are weights.
+    // The "qualitative" mode is the sign mode, but with a fourth status:
+    // ambiguous (?) when opposite effects do not cancel each other out.
+    this.simulation_mode = 'sign';
+    // In the "sequential" update scheme, factors are updated in the order
+    // of the trigger sequence, so factors see the status that factors
+    // earlier in this sequence have in the same time step; in the
+    // "synchronous" scheme, all factors are updated from the status that
+    // factors have in the previous time step.
+    this.update_scheme = 'sequential';
+    // FCM settings: squashing function, update rule, and the tolerance
+    // used to detect convergence and limit cycles.
+    this.fcm_squashing = 'sigmoid';
+    this.fcm_rule = 'kosko';
+    this.fcm_tolerance = 0.001;
+    // By default, a run stops early when the status of all factors repeats,
+    // as the model then has reached a fixed point or a limit cycle.
+    this.run_to_end = false;
+    // A run also stops when the (optional) stop condition is TRUE.
+    // NOTE: In this expression, factors denote their status.
+    this.stop_condition = new Expression(this, '');
+    // When the number of replications exceeds 1, the model is run that
+    // many times, and the results of these runs are aggregated.
+    this.replications = 1;
+    // Random numbers are drawn from a pseudo-random generator; when the
+    // seed is 0, a new seed is chosen for each run.
+    this.random_seed = 0;
     this.last_zoom_factor = 1;
     
     // Diagram editor related properties.
@@ -102,6 +164,64 @@ class CLASTModel {
     return this.time_scale * VM.time_unit_values[this.time_unit];
   }
   
+  get continuous() {
+    // Return TRUE if factor status is real-valued rather than a sign.
+    return this.simulation_mode === 'continuous';
+  }
+  
+  get fcm() {
+    // Return TRUE if the model is run as a fuzzy cognitive map.
+    return this.simulation_mode === 'fcm';
+  }
+  
+  get qualitative() {
+    // Return TRUE if factor status can also be "ambiguous".
+    return this.simulation_mode === 'qualitative';
+  }
+  
+  get synchronous() {
+    // Return TRUE if all factors are updated from the previous time step.
+    // NOTE: Fuzzy cognitive maps are always updated synchronously.
+    return this.update_scheme === 'synchronous' || this.fcm;
+  }
+  
+  interventionsAt(t) {
+    // Return the list of interventions that apply at time step `t`.
+    const il = [];
+    for(let i = 0; i < this.interventions.length; i++) {
+      const iv = this.interventions[i];
+      if(iv.valid && iv.appliesAt(t)) il.push(iv);
+    }
+    return il;
+  }
+  
+  get variablesInScope() {
+    // Return the list of entities that can be used in the stop condition.
+    const list = [];
+    for(let k in this.factors) if(this.factors.hasOwnProperty(k)) {
+      list.push(this.factors[k]);
+    }
+    for(let k in this.links) if(this.links.hasOwnProperty(k)) {
+      list.push(this.links[k]);
+    }
+    return list;
+  }
+  
+  get numericStatus() {
+    // Return TRUE if factor status should be displayed as a number.
+    return this.continuous || this.fcm;
+  }
+  
+  fcmSquash(x) {
+    // Return the FCM activation level for the weighted sum of inputs `x`.
+    const sf = this.fcm_squashing;
+    if(sf === 'tanh') return Math.tanh(x);
+    if(sf === 'bivalent') return (x > 0 ? 1 : 0);
+    if(sf === 'trivalent') return Math.sign(x);
+    // By default, use the logistic function.
+    return 1 / (1 + Math.exp(-x));
+  }
+  
   get newFactorCode() {
     // Return the next unused factor code.
     const n = this.next_factor_number;
@@ -131,6 +251,13 @@ class CLASTModel {
     return null;
   }
   
+  hasEntity(e) {
+    // Return TRUE if factor or link `e` (still) is part of this model.
+    if(e instanceof Factor) return this.factors[e.identifier] === e;
+    if(e instanceof Link) return this.links[e.identifier] === e;
+    return false;
+  }
+  
   factorByCode(code) {
     for(let k in this.factors) if(this.factors.hasOwnProperty(k)) {
       const f = this.factors[k];
@@ -733,7 +860,7 @@ class CLASTModel {
       if(obj instanceof Note) {
         fc.deleteNote(obj);
       } else if(obj instanceof Factor) {
-        fc.deleteFactor(obj);
+        this.deleteFactor(obj);
       } else {
         this.deleteCluster(obj);
       }
@@ -745,21 +872,30 @@ class CLASTModel {
   // Methods that delete entities from the model
   //
   
-  deleteFactor(node) {
+  deleteFactor(node, with_xml=true) {
     // Delete a factor and its associated links and constraints from the model.
     // First generate the XML for restoring the node, but add it later to the
     // UndoEdit so that it comes BEFORE the XML of its subelements.
     let xml = node.asXML;
-    // Remove associated links
-    for(let l in this.links) if(this.links.hasOwnProperty(l)) {
-      l = this.links[l];
-      if(l.from_node == node || l.to_node == node) this.deleteLink(l);
+    // Remove associated links.
+    // NOTE: Iterate over copies of the link lists, as `deleteLink` removes
+    // links from these lists.
+    const ll = node.inputs.concat(node.outputs);
+    for(let i = 0; i < ll.length; i++) {
+      if(this.links[ll[i].identifier] === ll[i]) this.deleteLink(ll[i]);
     }
     UI.removeShape(node.shape);
     node.parent.deleteFactor(node);
     delete this.factors[node.identifier];
+    // Remove the factor from the predecessor lists of other factors.
+    for(let k in this.factors) if(this.factors.hasOwnProperty(k)) {
+      const
+          pl = this.factors[k].predecessors,
+          i = pl.indexOf(node);
+      if(i >= 0) pl.splice(i, 1);
+    }
     // Now insert XML for node, so that the constraints will be restored properly
-    UNDO_STACK.addXML(xml);
+    if(with_xml) UNDO_STACK.addXML(xml);
   }
 
   deleteCluster(c, with_xml=true) {
@@ -777,7 +913,7 @@ class CLASTModel {
       c.deleteNote(c.notes[i], false);
     }
     for(i = c.factors.length - 1; i >= 0; i--) {
-      c.deleteFactor(c.factors[i], false);
+      this.deleteFactor(c.factors[i], false);
     }
     for(i = c.sub_clusters.length - 1; i >= 0; i--) {
       // NOTE: Recursive call, but lower level clusters will not output undo-XML.
@@ -802,7 +938,7 @@ class CLASTModel {
     // Finally, remove link from the model.
     UNDO_STACK.addXML(link.asXML);
     delete this.links[link.identifier];
-    this.cleanUpFeedbackLinks();
+    this.linkDeleted(link);
   }
 
   cleanUpActors() {
@@ -843,90 +979,928 @@ class CLASTModel {
 
   makePredecessorLists() {
     // Compose for each node its list of predecessor nodes.
-    // NOTE: First reset all lists, and unset the `visited` flags of links.
-    for(let f in this.factors) if (this.factors.hasOwnProperty(f)) {
-      this.factors[f].predecessors.length = 0;
-    }
-    for(let l in this.links) if(this.links.hasOwnProperty(l)) {
-      this.links[l].visited = false;
-    }
-    // Only then compute the predecessor lists.
     for(let f in this.factors) if(this.factors.hasOwnProperty(f)) {
       this.factors[f].setPredecessors();
     }
   }
+  
+  reachableFactors(f, forward=true) {
+    // Return the list of factors that can be reached from factor `f` by
+    // following one or more links (or from which `f` can be reached if
+    // `forward` is FALSE).
+    // NOTE: This list will contain `f` itself only if `f` is part of a loop.
+    const
+        rl = [],
+        visited = {},
+        fl = [f];
+    while(fl.length) {
+      const
+          nf = fl.pop(),
+          ll = (forward ? nf.outputs : nf.inputs);
+      for(let i = 0; i < ll.length; i++) {
+        const lf = (forward ? ll[i].to_factor : ll[i].from_factor);
+        if(!visited[lf.identifier]) {
+          visited[lf.identifier] = true;
+          rl.push(lf);
+          fl.push(lf);
+        }
+      }
+    }
+    return rl;
+  }
 
   cleanUpFeedbackLinks() {
-    // Set feedback property for all links that are part of a loop,
-    // and return TRUE when a change has occurred.
-    this.buildPathMatrix();
-    this.makePredecessorLists();
+    // Set feedback property for all links that are part of a loop, and
+    // redraw the diagram when a change has occurred.
+    // NOTE: This rebuilds the predecessor lists and the loop list from
+    // scratch, and hence is called only when a model has been loaded.
+    // Edits that add or delete a single link are processed incrementally
+    // by `linkAdded` and `linkDeleted`.
+    // NOTE: A link is part of some loop if and only if its FROM factor
+    // and its TO factor belong to the same strongly connected component
+    // of the model graph. This is computed in linear time, so the
+    // (potentially very time-consuming) enumeration of the loops proper
+    // can be performed "in the background" by `findCycles`.
+    const scc = this.stronglyConnectedComponents(this.factors);
     let redraw = false;
     for(let k in this.links) if(this.links.hasOwnProperty(k)) {
       const
           l = this.links[k],
-          fb = l.is_feedback;
-      l.is_feedback = (l.from_factor.predecessors.indexOf(l.to_factor) >= 0);
+          fb = l.is_feedback,
+          fc = scc.component[l.from_factor.identifier];
+      l.is_feedback = (l.from_factor === l.to_factor ||
+          (fc === scc.component[l.to_factor.identifier] &&
+              scc.list[fc].length > 1));
       redraw = redraw || (fb !== l.is_feedback);
     }
+    this.makePredecessorLists();
+    this.findCycles(scc.list);
     if(redraw) UI.drawDiagram(this);
   }
   
+  linkAdded(l) {
+    // Update predecessor lists, feedback links and loops after link `l`
+    // has been added to the model, and redraw the links whose feedback
+    // status has changed.
+    // NOTE: A link that is already known to be a feedback link must have
+    // been added before, and then nothing changes.
+    if(l.is_feedback) return;
+    const
+        ff = l.from_factor,
+        tf = l.to_factor,
+        // Factors that can be reached from the TO factor (before adding
+        // the link) now also can be reached from the FROM factor and its
+        // predecessors.
+        succ = [tf].concat(this.reachableFactors(tf)),
+        fpl = [ff].concat(ff.predecessors),
+        changed = [];
+    for(let i = 0; i < succ.length; i++) {
+      mergeDistinct(fpl, succ[i].predecessors);
+    }
+    if(ff === tf) {
+      l.is_feedback = true;
+      changed.push(l);
+    } else if(fpl.indexOf(tf) >= 0) {
+      // The new link closes one or more loops, so all links between the
+      // factors that are on a path from the TO factor to the FROM factor
+      // are now feedback links.
+      const set = {};
+      for(let i = 0; i < succ.length; i++) {
+        if(fpl.indexOf(succ[i]) >= 0) set[succ[i].identifier] = succ[i];
+      }
+      for(let k in set) if(set.hasOwnProperty(k)) {
+        const ll = set[k].outputs;
+        for(let i = 0; i < ll.length; i++) {
+          const fl = ll[i];
+          if(!fl.is_feedback && set.hasOwnProperty(fl.to_factor.identifier)) {
+            fl.is_feedback = true;
+            changed.push(fl);
+          }
+        }
+      }
+    }
+    if(!changed.length) return;
+    if(this.cycle_search || this.cycles_truncated) {
+      // The loop list is incomplete, so search again for all loops.
+      this.findCycles(this.stronglyConnectedComponents(this.factors).list);
+    } else {
+      this.addCyclesThroughLink(l);
+      UI.updateControllerDialogs('L');
+    }
+    // NOTE: When all loops are highlighted, the new loops must be drawn
+    // as well.
+    this.redrawFeedbackLinks(changed, this.show_all_cycles);
+  }
+  
+  addCyclesThroughLink(l) {
+    // Add all loops that comprise link `l` to the loop list.
+    // NOTE: These loops correspond to the simple paths from the TO factor
+    // back to the FROM factor, and are listed as [FROM, TO, ..., FROM].
+    // They lie within the strongly connected component of the FROM factor,
+    // and are found by Johnson's circuit search from the FROM factor,
+    // restricted to circuits that start with link `l`. Due to the blocking
+    // of dead ends, the time spent between finding two loops is linear in
+    // the size of this component.
+    const
+        ff = l.from_factor,
+        tf = l.to_factor;
+    if(tf === ff) {
+      this.cycle_list.push([ff, ff]);
+    } else {
+      const
+          scc = this.stronglyConnectedComponents(this.factors),
+          sc = scc.list[scc.component[ff.identifier]],
+          set = {},
+          blocked = {};
+      for(let i = 0; i < sc.length; i++) set[sc[i].identifier] = sc[i];
+      blocked[ff.identifier] = true;
+      this.circuit(tf, ff, set, blocked, {}, [ff]);
+    }
+    this.clearCycleAnalysis();
+    if(this.cycles_truncated) {
+      UI.warn('Loop search stopped after finding ' +
+          pluralS(CONFIGURATION.max_cycles, 'loop'));
+    }
+  }
+  
+  linkDeleted(l) {
+    // Update predecessor lists, feedback links and loops after link `l`
+    // has been removed from the model, and redraw the links whose
+    // feedback status has changed.
+    const
+        ff = l.from_factor,
+        tf = l.to_factor,
+        fb = l.is_feedback,
+        sc = this.selected_cycle,
+        changed = [];
+    // The TO factor and the factors that can be reached from it may have
+    // lost predecessors.
+    // NOTE: Only the FROM factor and its predecessors can have been lost,
+    // but these may still be predecessors by way of some other path.
+    const succ = [tf].concat(this.reachableFactors(tf));
+    for(let i = 0; i < succ.length; i++) succ[i].setPredecessors();
+    if(fb) {
+      l.is_feedback = false;
+      // The links that may no longer be feedback links are those in the
+      // strongly connected component that comprised link `l`, i.e., the
+      // factors connected to its FROM and TO factor by feedback links.
+      const
+          set = {},
+          fl = [ff, tf];
+      set[ff.identifier] = ff;
+      set[tf.identifier] = tf;
+      while(fl.length) {
+        const
+            f = fl.pop(),
+            ll = f.inputs.concat(f.outputs);
+        for(let i = 0; i < ll.length; i++) {
+          if(ll[i].is_feedback) {
+            const lf = (ll[i].from_factor === f ?
+                ll[i].to_factor : ll[i].from_factor);
+            if(!set.hasOwnProperty(lf.identifier)) {
+              set[lf.identifier] = lf;
+              fl.push(lf);
+            }
+          }
+        }
+      }
+      const scc = this.stronglyConnectedComponents(set);
+      for(let k in set) if(set.hasOwnProperty(k)) {
+        const ll = set[k].outputs;
+        for(let i = 0; i < ll.length; i++) {
+          const
+              ol = ll[i],
+              fc = scc.component[k];
+          if(ol.is_feedback && ol.from_factor !== ol.to_factor &&
+              (fc !== scc.component[ol.to_factor.identifier] ||
+                  scc.list[fc].length < 2)) {
+            ol.is_feedback = false;
+            changed.push(ol);
+          }
+        }
+      }
+      if(this.cycle_search || this.cycles_truncated) {
+        // The loop list is incomplete, so search again for all loops.
+        this.findCycles(this.stronglyConnectedComponents(this.factors).list);
+      } else {
+        this.removeCyclesThroughLink(l);
+        UI.updateControllerDialogs('L');
+      }
+    }
+    // NOTE: The deleted link itself is removed from the diagram by the
+    // calling routine. When loops are highlighted, their numbering may
+    // have changed, and then the entire diagram must be redrawn.
+    this.redrawFeedbackLinks(changed,
+        fb && (this.show_all_cycles || this.selected_cycle !== sc));
+  }
+  
+  removeCyclesThroughLink(l) {
+    // Remove all loops that comprise link `l` from the loop list, while
+    // preserving the selected loop (if any).
+    const
+        ff = l.from_factor,
+        tf = l.to_factor,
+        cl = [];
+    let sc = -1;
+    for(let i = 0; i < this.cycle_list.length; i++) {
+      const
+          c = this.cycle_list[i],
+          ffi = c.indexOf(ff);
+      if(ffi < 0 || c.lastIndexOf(tf) !== ffi + 1) {
+        if(i === this.selected_cycle) sc = cl.length;
+        cl.push(c);
+      }
+    }
+    this.cycle_list = cl;
+    this.selected_cycle = sc;
+    this.clearCycleAnalysis();
+  }
+  
+  redrawFeedbackLinks(ll, full=false) {
+    // Redraw the links in list `ll` as their feedback status has changed,
+    // or the entire diagram if `full` is TRUE.
+    if(full) {
+      UI.drawDiagram(this);
+    } else if(ll.length) {
+      UI.drawLinks(ll);
+    }
+  }
+  
   pathAsString(c) {
     // Return cycle (= list of factors) as a human-readable string.
     return c.map((f) => f.displayName).join(UI.LINK_ARROW);
   }
 
-  sproutPathsFrom(path) {
-    // Add paths to all nodes that stem from `path`.
-    const linksout = path[path.length - 1].outputs;
-    for(let i = 0; i < linksout.length; i++) {
-      const tf = linksout[i].to_factor;
-      const tfi = path.indexOf(tf);
-      // NOTE: Index = 0 indicates a cycle => add, but stop recursion.
-      if(tfi <= 0) {
-        // New path is existing path plus the TO factor of the link.
-        const p = path.slice();
-        p.push(tf);
-        this.path_matrix[p[0].identifier].push(p);
-        // If not in original path, recurse.
-        if(tfi < 0) this.sproutPathsFrom(p);
+  cycleLinks(c) {
+    // Return the list of links that constitute cycle `c`.
+    const ll = [];
+    for(let i = 1; i < c.length; i++) {
+      const l = this.links[UI.linkIdentifier(c[i - 1], c[i])];
+      if(l) ll.push(l);
+    }
+    return ll;
+  }
+  
+  cyclePolarity(c) {
+    // Return 1 if cycle `c` is reinforcing, -1 if it is balancing, and 0
+    // if its polarity is undetermined because one or more of its links
+    // have a multiplier that is undefined or not a constant.
+    const ll = this.cycleLinks(c);
+    let p = 1;
+    for(let i = 0; i < ll.length && p; i++) p *= ll[i].polarity;
+    return p;
+  }
+  
+  get cycleLabels() {
+    // Return the list of loop labels (R1, R2, B1, etc.) for the cycles
+    // in the cycle list. Loops having undetermined polarity are labeled
+    // with U instead of R or B.
+    const
+        labels = [],
+        count = {R: 0, B: 0, U: 0};
+    for(let i = 0; i < this.cycle_list.length; i++) {
+      const l = 'BUR'.charAt(this.cyclePolarity(this.cycle_list[i]) + 1);
+      count[l]++;
+      labels.push(l + count[l]);
+    }
+    return labels;
+  }
+  
+  clearCycleAnalysis() {
+    // Discard the cycle basis and loop families, as the cycle list has
+    // changed.
+    this.cycle_basis = null;
+    this.cycle_families = null;
+    this.visible_cycles = null;
+  }
+  
+  get cycleBasis() {
+    // Return the list of numbers of the loops that constitute a minimal
+    // set of independent loops, i.e., a cycle basis: every other loop in
+    // the cycle list can be composed of loops in this set.
+    // NOTE: Loops are represented as bit vectors over the feedback links.
+    // These are added shortest loops first, and a loop is independent
+    // when Gaussian elimination (modulo 2) does not reduce its vector to
+    // zero. This yields a basis of minimal total length.
+    if(this.cycle_basis) return this.cycle_basis;
+    const
+        cl = this.cycle_list,
+        order = [...cl.keys()].sort((a, b) =>
+            cl[a].length - cl[b].length || a - b),
+        links = cl.map((c) => this.cycleLinks(c)),
+        bit = {},
+        vectors = [],
+        pivots = {},
+        basis = [];
+    let nb = 0;
+    for(let i = 0; i < links.length; i++) {
+      const ll = links[i];
+      for(let j = 0; j < ll.length; j++) {
+        if(!bit.hasOwnProperty(ll[j].identifier)) bit[ll[j].identifier] = nb++;
+      }
+    }
+    const
+        words = Math.ceil(nb / 32),
+        lowestBit = (v) => {
+            // Return index of lowest bit that is set in vector `v`, or -1
+            // if `v` is zero.
+            for(let w = 0; w < words; w++) {
+              if(v[w]) return w * 32 + 31 - Math.clz32(v[w] & -v[w]);
+            }
+            return -1;
+          };
+    for(let i = 0; i < links.length; i++) {
+      const
+          v = new Uint32Array(words),
+          ll = links[i];
+      for(let j = 0; j < ll.length; j++) {
+        const b = bit[ll[j].identifier];
+        v[b >> 5] |= 1 << (b & 31);
+      }
+      vectors.push(v);
+    }
+    for(let i = 0; i < order.length; i++) {
+      const v = vectors[order[i]].slice();
+      let b = lowestBit(v);
+      // NOTE: As the lowest bit of a pivot vector is its pivot, each
+      // reduction step increases the lowest bit of `v`.
+      while(b >= 0 && pivots.hasOwnProperty(b)) {
+        const pv = pivots[b];
+        for(let w = 0; w < words; w++) v[w] ^= pv[w];
+        b = lowestBit(v);
+      }
+      if(b >= 0) {
+        pivots[b] = v;
+        basis.push(order[i]);
       }
     }
+    this.cycle_basis = basis.sort((a, b) => a - b);
+    return this.cycle_basis;
   }
   
-  buildPathMatrix() {
-    // Build a lookup with for each factor the list of all paths from
-    // this factor to some other factor.
-    this.path_matrix = {};
-    for(let k in this.factors) if(this.factors.hasOwnProperty(k)) {
-      const linksout = this.factors[k].outputs;
-      for(let j = 0 ; j < linksout.length; j++) {
-        const path = [];
-        path.push(this.factors[k]);
-        path.push(linksout[j].to_factor);
-        this.path_matrix[k] = [path];
-        // NOTE: New path may be a 2-factor cycle, and then we're done.
-        if(path[0] !== path[1]) this.sproutPathsFrom(path);
+  get cycleFamilies() {
+    // Return object {family, cores} where `family` lists for each loop
+    // the index of its family, and `cores` lists for each family the
+    // identifiers of the links that all its loops have in common.
+    // NOTE: Each independent loop founds a family. Then the other loops
+    // (shortest first) join the family with which they have the most
+    // core links in common, so that the core shrinks as little as
+    // possible. A loop that shares no link with any core founds a new
+    // family.
+    if(this.cycle_families) return this.cycle_families;
+    const
+        cl = this.cycle_list,
+        basis = this.cycleBasis,
+        family = cl.map(() => -1),
+        cores = [],
+        linkIDs = (n) => this.cycleLinks(cl[n]).map((l) => l.identifier),
+        order = [...cl.keys()].sort((a, b) =>
+            cl[a].length - cl[b].length || a - b);
+    for(let i = 0; i < basis.length; i++) {
+      family[basis[i]] = i;
+      cores.push(linkIDs(basis[i]));
+    }
+    for(let i = 0; i < order.length; i++) {
+      const n = order[i];
+      if(family[n] < 0) {
+        const ids = linkIDs(n);
+        let best = -1,
+            shared = [];
+        for(let j = 0; j < cores.length; j++) {
+          const sl = cores[j].filter((id) => ids.indexOf(id) >= 0);
+          if(sl.length > shared.length) {
+            best = j;
+            shared = sl;
+          }
+        }
+        if(best < 0) {
+          best = cores.length;
+          shared = ids;
+        }
+        family[n] = best;
+        cores[best] = shared;
+      }
+    }
+    this.cycle_families = {family: family, cores: cores};
+    return this.cycle_families;
+  }
+  
+  cycleThroughSelection(c) {
+    // Return TRUE if cycle `c` comprises a selected factor or link.
+    for(let i = 1; i < c.length; i++) {
+      if(c[i].selected) return true;
+      const l = this.links[UI.linkIdentifier(c[i - 1], c[i])];
+      if(l && l.selected) return true;
+    }
+    return false;
+  }
+  
+  get visibleCycles() {
+    // Return the list of numbers of the loops in the current loop view.
+    // NOTE: The cached list is cleared when the cycle list or the loop
+    // view changes; in the selection view, it is also recomputed when
+    // the selection has changed.
+    const
+        cache = this.visible_cycles,
+        sel = this.selection;
+    if(cache && (this.cycle_view !== 'selection' ||
+        (cache.selection.length === sel.length &&
+            cache.selection.every((obj, i) => obj === sel[i])))) {
+      return cache.list;
+    }
+    let vc = [];
+    if(this.cycle_view === 'basis') {
+      vc = this.cycleBasis;
+    } else {
+      for(let i = 0; i < this.cycle_list.length; i++) {
+        if(this.cycle_view !== 'selection' ||
+            this.cycleThroughSelection(this.cycle_list[i])) vc.push(i);
+      }
+    }
+    this.visible_cycles = {list: vc, selection: sel.slice()};
+    return vc;
+  }
+  
+  get highlightedCycles() {
+    // Return the list of numbers of the loops that are highlighted in
+    // the diagram.
+    if(this.show_all_cycles) return this.visibleCycles;
+    if(this.selected_cycle >= 0) return [this.selected_cycle];
+    return [];
+  }
+  
+  cycleDescription(n) {
+    // Return a human-readable description of cycle number `n`.
+    const
+        c = this.cycle_list[n],
+        p = this.cyclePolarity(c),
+        pn = (p > 0 ? 'reinforcing' : (p < 0 ? 'balancing' : 'undetermined')),
+        nl = this.catalogedLoop(c),
+        name = (nl && nl.name ? ` "${nl.name}"` : '');
+    return `Loop ${this.cycleLabels[n]}${name} (${pn}, ` +
+        pluralS(c.length - 1, 'link') + '): ' + this.pathAsString(c);
+  }
+  
+  cycleKey(c) {
+    // Return the loop catalog key for cycle `c`.
+    return this.cycleLinks(c).map((l) => l.identifier).sort().join(';');
+  }
+  
+  catalogedLoop(c) {
+    // Return the loop catalog entry for cycle `c`, or NULL if none.
+    return this.loop_catalog[this.cycleKey(c)] || null;
+  }
+  
+  addLoopToCatalog(c) {
+    // Return the loop catalog entry for cycle `c`, and first add it if
+    // this loop is not in the catalog yet.
+    let nl = this.catalogedLoop(c);
+    if(!nl) {
+      nl = new NamedLoop(this.cycleLinks(c).map((l) => l.identifier));
+      nl.polarity = this.cyclePolarity(c);
+      this.loop_catalog[nl.key] = nl;
+    }
+    return nl;
+  }
+  
+  cycleNumber(nl) {
+    // Return the number of the loop in the cycle list that corresponds
+    // with loop catalog entry `nl`, or -1 if not found.
+    const k = nl.key;
+    for(let i = 0; i < this.cycle_list.length; i++) {
+      if(this.cycleKey(this.cycle_list[i]) === k) return i;
+    }
+    return -1;
+  }
+
+  successorsInSet(f, set) {
+    // Return the list of distinct factors that `f` has a link to, and
+    // that are in the lookup object `set` (with factor IDs as keys).
+    const sl = [];
+    for(let i = 0; i < f.outputs.length; i++) {
+      const tf = f.outputs[i].to_factor;
+      if(set.hasOwnProperty(tf.identifier)) addDistinct(tf, sl);
+    }
+    return sl;
+  }
+
+  stronglyConnectedComponents(set) {
+    // Return object {list, component} where `list` is the list of
+    // strongly connected components (each a list of factors) of the
+    // subgraph induced by the factors in the lookup object `set`, and
+    // `component` maps factor IDs onto the index of their component in
+    // this list.
+    // NOTE: This is Tarjan's algorithm, but implemented with an explicit
+    // stack, as recursion depth might otherwise exceed browser limits
+    // for large models.
+    const
+        scc = {list: [], component: {}},
+        index = {},
+        low = {},
+        on_stack = {},
+        stack = [];
+    let n = 0;
+    for(let k in set) if(set.hasOwnProperty(k) && !index.hasOwnProperty(k)) {
+      // Each element of the call stack is [factor, successors, next].
+      const cs = [[set[k], this.successorsInSet(set[k], set), 0]];
+      index[k] = n;
+      low[k] = n;
+      n++;
+      stack.push(set[k]);
+      on_stack[k] = true;
+      while(cs.length) {
+        const
+            top = cs[cs.length - 1],
+            id = top[0].identifier;
+        if(top[2] < top[1].length) {
+          const
+              w = top[1][top[2]],
+              wid = w.identifier;
+          top[2]++;
+          if(!index.hasOwnProperty(wid)) {
+            index[wid] = n;
+            low[wid] = n;
+            n++;
+            stack.push(w);
+            on_stack[wid] = true;
+            cs.push([w, this.successorsInSet(w, set), 0]);
+          } else if(on_stack[wid]) {
+            low[id] = Math.min(low[id], index[wid]);
+          }
+        } else {
+          // All successors have been visited => pop the call stack.
+          cs.pop();
+          if(cs.length) {
+            const pid = cs[cs.length - 1][0].identifier;
+            low[pid] = Math.min(low[pid], low[id]);
+          }
+          if(low[id] === index[id]) {
+            // Factor is the root of a component => pop it from the stack.
+            const c = [];
+            let f = null;
+            do {
+              f = stack.pop();
+              on_stack[f.identifier] = false;
+              scc.component[f.identifier] = scc.list.length;
+              c.push(f);
+            } while(f !== top[0]);
+            scc.list.push(c);
+          }
+        }
+      }
+    }
+    return scc;
+  }
+  
+  circuit(v, s, set, blocked, b, path) {
+    // Recursive search for circuits through factor `v` that start (and
+    // end) at factor `s`, using the blocking scheme of Johnson's algorithm;
+    // return TRUE if some circuit is found. Circuits are added to the
+    // cycle list, but only while the maximum number of cycles set by the
+    // CLAST configuration has not been reached.
+    let found = false;
+    path.push(v);
+    blocked[v.identifier] = true;
+    const sl = this.successorsInSet(v, set);
+    for(let i = 0; i < sl.length; i++) {
+      if(this.cycle_list.length >= CONFIGURATION.max_cycles) {
+        this.cycles_truncated = true;
+        break;
+      }
+      const w = sl[i];
+      if(w === s) {
+        const c = path.slice();
+        c.push(s);
+        this.cycle_list.push(c);
+        found = true;
+      } else if(!blocked[w.identifier] &&
+          this.circuit(w, s, set, blocked, b, path)) {
+        found = true;
       }
     }
+    if(found) {
+      this.unblock(v, blocked, b);
+    } else {
+      for(let i = 0; i < sl.length; i++) {
+        const wid = sl[i].identifier;
+        if(!b[wid]) b[wid] = [];
+        addDistinct(v, b[wid]);
+      }
+    }
+    path.pop();
+    return found;
+  }
+  
+  unblock(u, blocked, b) {
+    // Unblock factor `u` and all factors blocked because of it.
+    const ul = [u];
+    while(ul.length) {
+      const
+          f = ul.pop(),
+          fid = f.identifier;
+      blocked[fid] = false;
+      const bl = b[fid] || [];
+      b[fid] = [];
+      for(let i = 0; i < bl.length; i++) {
+        if(blocked[bl[i].identifier]) ul.push(bl[i]);
+      }
+    }
+  }
+  
+  findCycles(components) {
+    // Compose the list of all elementary cycles in the model graph using
+    // Johnson's algorithm, but only for strongly connected components
+    // that comprise more than one factor (or a factor linked to itself).
+    // NOTE: As the number of cycles may grow exponentially with model
+    // size, the search is performed in short time slices so that the
+    // browser remains responsive, and progress is shown by the needle
+    // above the status bar. The search is abandoned when it is superseded
+    // by a new search, and stops when the number of cycles found reaches
+    // the maximum set by the CLAST configuration.
+    const
+        search = {roots: [], done: 0},
+        max = CONFIGURATION.max_cycles;
     this.cycle_list.length = 0;
-    for(let k in this.path_matrix) if(this.path_matrix.hasOwnProperty(k)) {
-      const pl = this.path_matrix[k];
+    this.cycles_truncated = false;
+    this.cycle_search = search;
+    this.clearCycleAnalysis();
+    for(let i = 0; i < components.length; i++) {
+      const c = components[i];
+      if(c.length > 1 || c[0].outputs.some((l) => l.to_factor === c[0])) {
+        // Johnson's algorithm requires a fixed order of the vertices.
+        for(let j = 0; j < c.length; j++) search.roots.push([c, j]);
+      }
+    }
+    if(!search.roots.length) {
+      this.cycle_search = null;
+      return;
+    }
+    const
+        model = this,
+        nextSlice = () => {
+            // Stop if this search has been superseded.
+            if(MODEL !== model || model.cycle_search !== search) return;
+            const
+                t0 = new Date().getTime(),
+                dt = CONFIGURATION.progress_needle_interval;
+            while(search.done < search.roots.length &&
+                new Date().getTime() - t0 < dt && !model.cycles_truncated) {
+              // Consider only the part of the component comprising the
+              // factors that follow the root factor `s` in the ordering.
+              const
+                  r = search.roots[search.done],
+                  s = r[0][r[1]],
+                  sub = {};
+              for(let i = r[1]; i < r[0].length; i++) {
+                sub[r[0][i].identifier] = r[0][i];
+              }
+              // Restrict this subgraph to the component containing `s`.
+              const
+                  scc = model.stronglyConnectedComponents(sub),
+                  sc = scc.list[scc.component[s.identifier]],
+                  set = {};
+              for(let i = 0; i < sc.length; i++) set[sc[i].identifier] = sc[i];
+              model.circuit(s, s, set, {}, {}, []);
+              search.done++;
+            }
+            model.clearCycleAnalysis();
+            if(search.done < search.roots.length && !model.cycles_truncated) {
+              UI.setProgressNeedle(search.done / search.roots.length);
+              setTimeout(nextSlice, 0);
+            } else {
+              model.cycle_search = null;
+              UI.setProgressNeedle(0);
+              if(model.cycles_truncated) {
+                UI.warn('Loop search stopped after finding ' +
+                    pluralS(max, 'loop'));
+              }
+              if(model.selected_cycle >= model.cycle_list.length) {
+                model.selected_cycle = -1;
+              }
+              if(model.show_all_cycles || model.selected_cycle >= 0) {
+                UI.drawDiagram(model);
+              }
+              UI.updateControllerDialogs('L');
+            }
+          };
+    nextSlice();
+  }
+  
+  buildPathMatrix(factors=null, done=null) {
+    // Call `done` with a lookup with for each factor a row {paths,
+    // truncated} where `paths` is the list of all paths from this factor
+    // to some other factor. When a list of factors is passed, only paths
+    // from these factors are considered.
+    // NOTE: The number of paths may grow exponentially with model size,
+    // so this method should only be called on demand, and not after each
+    // edit. Cycles are identified by `findCycles`.
+    // NOTE: Like the search for cycles, the paths are enumerated in short
+    // time slices, and the search is abandoned when another model is
+    // loaded. The total number of paths in the matrix is limited by the
+    // configuration setting `max_paths`; when this limit is reached, the
+    // rows that have not been completed are marked as truncated.
+    if(!factors) factors = Object.values(this.factors);
+    const
+        search = {row: 0, started: false, stack: [], count: 0},
+        max = CONFIGURATION.max_paths,
+        pm = {};
+    for(let i = 0; i < factors.length; i++) {
+      pm[factors[i].identifier] = {paths: [], truncated: false};
+    }
+    const
+        model = this,
+        nextSlice = () => {
+            // Stop if another model has been loaded.
+            if(MODEL !== model) return;
+            const
+                t0 = new Date().getTime(),
+                dt = CONFIGURATION.progress_needle_interval,
+                st = search.stack;
+            while(search.row < factors.length &&
+                new Date().getTime() - t0 < dt) {
+              const
+                  f = factors[search.row],
+                  row = pm[f.identifier];
+              if(!st.length) {
+                // Proceed with the next row when this row is complete.
+                if(search.started) {
+                  search.row++;
+                  search.started = false;
+                } else {
+                  st.push({path: [f], next: 0});
+                  search.started = true;
+                }
+                continue;
+              }
+              // Extend the path on top of the stack by its next output link.
+              const
+                  top = st[st.length - 1],
+                  linksout = top.path[top.path.length - 1].outputs;
+              if(top.next >= linksout.length) {
+                st.pop();
+                continue;
+              }
+              const
+                  tf = linksout[top.next++].to_factor,
+                  tfi = top.path.indexOf(tf);
+              // NOTE: Index = 0 indicates a cycle => add, but do not extend.
+              if(tfi <= 0) {
+                if(search.count >= max) {
+                  // Path budget is spent, so this row and all remaining rows
+                  // (except those of factors without output links) are
+                  // incomplete.
+                  for(let i = search.row; i < factors.length; i++) {
+                    if(factors[i].outputs.length) {
+                      pm[factors[i].identifier].truncated = true;
+                    }
+                  }
+                  search.row = factors.length;
+                  break;
+                }
+                // New path is existing path plus the TO factor of the link.
+                const p = top.path.slice();
+                p.push(tf);
+                row.paths.push(p);
+                search.count++;
+                if(tfi < 0) st.push({path: p, next: 0});
+              }
+            }
+            if(search.row < factors.length) {
+              UI.setProgressNeedle(search.row / factors.length);
+              setTimeout(nextSlice, 0);
+            } else {
+              UI.setProgressNeedle(0);
+              if(done) done(pm);
+            }
+          };
+    nextSlice();
+  }
+  
+  highlightPaths(pl) {
+    // Highlight the paths in list `pl` instead of the cycles.
+    this.highlighted_paths = pl;
+    this.show_all_cycles = false;
+    this.selected_cycle = -1;
+    UI.drawDiagram(this);
+  }
+  
+  ambiguousInfluences(done) {
+    // Call `done` with the ambiguous influences in the path matrix of
+    // this model.
+    this.buildPathMatrix(null, (pm) => done(this.ambiguitiesInMatrix(pm)));
+  }
+  
+  ambiguitiesInMatrix(pm) {
+    // Return {influences, truncated} where `influences` is a list of
+    // tuples {from, to, paths, signs} for all pairs of factors that are
+    // connected by at least one positive and at least one negative causal
+    // path in path matrix `pm`, as then the net influence of the FROM
+    // factor on the TO factor is ambiguous, and `truncated` is the list of
+    // factors for which not all paths have been analyzed.
+    const
+        al = [],
+        tl = [];
+    for(let k in pm) if(pm.hasOwnProperty(k)) {
+      const
+          pl = pm[k].paths,
+          targets = {};
+      if(pm[k].truncated) tl.push(this.factors[k]);
+      // Group paths by the factor they lead to (ignoring cycles).
       for(let i = 0; i < pl.length; i++) {
-        const p = pl[i];
-        if(p[0] === p[p.length - 1]) {
-          // Path begins and ends with same factor => add cycle unless
-          // identical to already recorded cycle.
-          let known = false;
-          for(let j = 0; j < this.cycle_list.length && !known; j++) {
-            const c = this.cycle_list[j];
-            known = (p.length === c.length && intersection(p, c).length === p.length);
-          }
-          if(!known) this.cycle_list.push(p);
+        const
+            p = pl[i],
+            t = p[p.length - 1];
+        if(t !== p[0]) {
+          if(!targets[t.identifier]) targets[t.identifier] = [];
+          targets[t.identifier].push(p);
+        }
+      }
+      for(let tid in targets) if(targets.hasOwnProperty(tid)) {
+        const
+            tpl = targets[tid],
+            t = tpl[0][tpl[0].length - 1],
+            signs = tpl.map((p) => this.pathImpact(p, t));
+        if(signs.indexOf(1) >= 0 && signs.indexOf(-1) >= 0) {
+          al.push({from: tpl[0][0], to: t, paths: tpl, signs: signs});
+        }
+      }
+    }
+    al.sort((a, b) => a.from.displayName.localeCompare(b.from.displayName) ||
+        a.to.displayName.localeCompare(b.to.displayName));
+    return {influences: al, truncated: tl};
+  }
+  
+  pathsBetween(from, to) {
+    // Return {paths, truncated} where `paths` is a list of tuples
+    // {path, sign} for all simple causal paths from factor FROM to factor
+    // TO, with the shortest paths first, and `truncated` is TRUE if not
+    // all these paths have been analyzed.
+    // NOTE: A shortest path is found by a breadth-first search, so that it
+    // is listed even when the number of paths exceeds the maximum set by
+    // the CLAST configuration. The other paths are found by a depth-first
+    // search that only considers factors from which TO can be reached.
+    const none = {paths: [], truncated: false};
+    if(!from || !to || from === to) return none;
+    const
+        rl = this.reachableFactors(to, false),
+        set = {};
+    for(let i = 0; i < rl.length; i++) set[rl[i].identifier] = rl[i];
+    if(!set.hasOwnProperty(from.identifier)) return none;
+    const
+        prev = {},
+        queue = [from];
+    prev[from.identifier] = null;
+    for(let i = 0; i < queue.length && !prev.hasOwnProperty(to.identifier);
+        i++) {
+      const ll = queue[i].outputs;
+      for(let j = 0; j < ll.length; j++) {
+        const tf = ll[j].to_factor;
+        if(!prev.hasOwnProperty(tf.identifier)) {
+          prev[tf.identifier] = queue[i];
+          queue.push(tf);
         }
       }
     }
+    const sp = [to];
+    for(let f = prev[to.identifier]; f; f = prev[f.identifier]) sp.unshift(f);
+    let truncated = false;
+    const
+        max = CONFIGURATION.max_paths,
+        bl = [{path: sp, sign: this.pathImpact(sp, to)}],
+        path = [from],
+        on_path = {},
+        model = this,
+        extend = (f) => {
+            // Recursive depth-first search for paths to TO.
+            const ll = f.outputs;
+            for(let i = 0; i < ll.length && !truncated; i++) {
+              const tf = ll[i].to_factor;
+              if(tf === to) {
+                const p = path.concat([to]);
+                // NOTE: Skip the shortest path, as it has been added.
+                if(p.length === sp.length && p.every((pf, j) => pf === sp[j])) {
+                  continue;
+                }
+                if(bl.length >= max) {
+                  truncated = true;
+                } else {
+                  bl.push({path: p, sign: model.pathImpact(p, to)});
+                }
+              } else if(set.hasOwnProperty(tf.identifier) &&
+                  !on_path[tf.identifier]) {
+                path.push(tf);
+                on_path[tf.identifier] = true;
+                extend(tf);
+                on_path[tf.identifier] = false;
+                path.pop();
+              }
+            }
+          };
+    on_path[from.identifier] = true;
+    extend(from);
+    bl.sort((a, b) => a.path.length - b.path.length ||
+        this.pathAsString(a.path).localeCompare(this.pathAsString(b.path)));
+    return {paths: bl, truncated: truncated};
   }
   
   get cycleListStrings() {
@@ -1003,6 +1977,22 @@ class CLASTModel {
     this.time_scale = safeStrToFloat(nodeParameterValue(node, 'time-scale'), 1);
     this.time_unit = nodeParameterValue(node, 'time-unit') || 'hour';
     this.run_length = safeStrToInt(nodeParameterValue(node, 'run-length'), 10);
+    this.simulation_mode = nodeParameterValue(node, 'simulation-mode') ||
+        'sign';
+    this.update_scheme = nodeParameterValue(node, 'update-scheme') ||
+        'sequential';
+    this.fcm_squashing = nodeParameterValue(node, 'fcm-squashing') ||
+        'sigmoid';
+    this.fcm_rule = nodeParameterValue(node, 'fcm-rule') || 'kosko';
+    this.fcm_tolerance = safeStrToFloat(
+        nodeParameterValue(node, 'fcm-tolerance'), 0.001);
+    this.run_to_end = nodeParameterValue(node, 'run-to-end') === '1';
+    this.replications = Math.max(1, safeStrToInt(
+        nodeParameterValue(node, 'replications'), 1));
+    this.random_seed = safeStrToInt(
+        nodeParameterValue(node, 'random-seed'), 0);
+    this.stop_condition.text = xmlDecoded(
+        nodeContentByTag(node, 'stop-condition'));
     this.name = xmlDecoded(nodeContentByTag(node, 'name'));
     this.author = xmlDecoded(nodeContentByTag(node, 'author'));
     this.comments = xmlDecoded(nodeContentByTag(node, 'comments'));
@@ -1070,6 +2060,42 @@ class CLASTModel {
       }
     }
     this.focal_cluster = this.top_cluster;
+    // Load the loop catalog.
+    n = childNodeByTag(node, 'loop-catalog');
+    if(n && n.childNodes) {
+      for(let i = 0; i < n.childNodes.length; i++) {
+        const c = n.childNodes[i];
+        if(c.nodeName === 'loop') {
+          const nl = new NamedLoop([]);
+          nl.initFromXML(c);
+          if(nl.link_ids.length) this.loop_catalog[nl.key] = nl;
+        }
+      }
+    }
+    // Load the intervention schedule.
+    n = childNodeByTag(node, 'interventions');
+    if(n && n.childNodes) {
+      for(let i = 0; i < n.childNodes.length; i++) {
+        const c = n.childNodes[i];
+        if(c.nodeName === 'intervention') {
+          const iv = new Intervention();
+          iv.initFromXML(c);
+          if(iv.entity) this.interventions.push(iv);
+        }
+      }
+    }
+    // Load the scenarios.
+    n = childNodeByTag(node, 'scenarios');
+    if(n && n.childNodes) {
+      for(let i = 0; i < n.childNodes.length; i++) {
+        const c = n.childNodes[i];
+        if(c.nodeName === 'scenario') {
+          const sc = new Scenario('');
+          sc.initFromXML(c);
+          this.scenarios.push(sc);
+        }
+      }
+    }
     // Detect feedback links and cycles.
     this.cleanUpFeedbackLinks();
     // Recompile expressions so that they refer to the correct entities.
@@ -1082,15 +2108,24 @@ class CLASTModel {
         '" run-length="', this.run_length,
         '" time-scale="', this.time_scale,
         '" time-unit="', this.time_unit,
+        '" simulation-mode="', this.simulation_mode,
+        '" update-scheme="', this.update_scheme,
+        '" fcm-squashing="', this.fcm_squashing,
+        '" fcm-rule="', this.fcm_rule,
+        '" fcm-tolerance="', this.fcm_tolerance,
         '"'].join('');
     if(this.align_to_grid) p += ' align-to-grid="1"';
+    if(this.run_to_end) p += ' run-to-end="1"';
+    if(this.replications > 1) p += ` replications="${this.replications}"`;
+    if(this.random_seed) p += ` random-seed="${this.random_seed}"`;
     let xml = this.xml_header + ['<model', p, '><name>',  xmlEncoded(this.name),
         '</name><author>', xmlEncoded(this.author),
         '</author><comments>', xmlEncoded(this.comments),
         '</comments><version>',  xmlEncoded(CLAST_VERSION),
         '</version><last-saved>',  xmlEncoded(this.last_modified.toString()),
         '</last-saved><grid-pixels>', this.grid_pixels,
-        '</grid-pixels><actors>'].join('');
+        '</grid-pixels><stop-condition>', this.stop_condition.asXML,
+        '</stop-condition><actors>'].join('');
     for(let a in this.actors) {
       // NOTE: do not to save "(no actor)"
       if(this.actors.hasOwnProperty(a) && a != UI.nameToID(UI.NO_ACTOR)) {
@@ -1107,7 +2142,21 @@ class CLASTModel {
     }
     // NOTE: Cluster XML defines its own subclusters.
     xml += `</links><clusters>${this.top_cluster.asXML}</clusters>`;
-    return xml + '</model>';
+    xml += '<loop-catalog>';
+    for(let k in this.loop_catalog) if(this.loop_catalog.hasOwnProperty(k)) {
+      xml += this.loop_catalog[k].asXML;
+    }
+    xml += '</loop-catalog><interventions>';
+    for(let i = 0; i < this.interventions.length; i++) {
+      const iv = this.interventions[i];
+      // NOTE: Interventions on deleted factors or links are not saved.
+      if(iv.valid) xml += iv.asXML;
+    }
+    xml += '</interventions><scenarios>';
+    for(let i = 0; i < this.scenarios.length; i++) {
+      xml += this.scenarios[i].asXML;
+    }
+    return xml + '</scenarios></model>';
   }
   
   get listOfAllComments() {
@@ -1181,6 +2230,7 @@ class CLASTModel {
     for(let i = 0; i < ax.length; i++) {
       ax[i].reset(VM.UNDEFINED);
     }
+    this.stop_condition.reset(VM.UNDEFINED);
     // Initialized status vector of all factors as "undefined".
     for(let k in this.factors) if(this.factors.hasOwnProperty(k)) {
       MODEL.cleanVector(this.factors[k].status, VM.UNDEFINED);
@@ -1193,6 +2243,7 @@ class CLASTModel {
     for(let i = 0; i < ax.length; i++) {
       ax[i].compile();
     }
+    this.stop_condition.compile();
   }
   
   get factorCategories() {
@@ -1206,7 +2257,7 @@ class CLASTModel {
         if(f.outputs.length) {
           // "Internal" factors (i.e., having both inputs and outputs) are
           // considered an outcome of interest if they are "owned" by an actor.
-          if(f.hasActor) fc.outcome.push(k);
+          if(f.hasActor) fc.outcome.push(f);
         } else {
           // When not "owned", it must still be an outcome of interest or it
           // should not be part of the model. 
@@ -1221,47 +2272,301 @@ class CLASTModel {
         }
       }
     }
-    console.log('HERE fc', fc);
     return fc;
   }
   
-  pathImpact(p, f) {
-    // Return multiplier product for links on path `p` from start to factor `f`.
-  }
-  
-  impactTable(type=1) {
-    // Type 1: actions => outcomes, type 2: context => outcomes; type 3: combined.
-    this.buildPathMatrix();
+  booleanAttractors(inputs_only=false, done=null) {
+    // Pass object {factors, attractors, initial_states, sampled,
+    // unresolved} to callback function `done`, where `attractors` is
+    // a list of {states, basin} with
+    // `states` a list of factor states that repeats itself (one state for
+    // fixed points), and `basin` the number of initial states that lead
+    // to it. Factor states are strings with for each factor in `factors`
+    // a digit 0, 1 or 2 denoting -1, 0 or +1.
+    // The factors are updated synchronously according to their aggregation
+    // rules, while factors without incoming links keep their state.
+    // NOTE: Factor expressions are ignored, link multipliers are evaluated
+    // for t = 0, and delays are ignored. The state of a stock moves up or
+    // down by one, depending on the sign of its net inflow.
+    // When `inputs_only` is TRUE, only the initial states of the context
+    // and action factors are varied, while the other factors start at 0.
+    // NOTE: As the state space may be large, the analysis is performed in
+    // short time slices (as for `findCycles`), and it is abandoned when it
+    // is superseded by a new analysis.
     const
-        fc = this.factorCategories,
-        tbl = {};
-    if(type % 2 === 1) {
-      for(let i = 0; i < fc.action.length; i++) {
+        fl = [],
+        index = {};
+    for(let k in this.factors) if(this.factors.hasOwnProperty(k)) {
+      index[k] = fl.length;
+      fl.push(this.factors[k]);
+    }
+    const
+        n = fl.length,
+        inputs = [],
+        vary = [];
+    for(let i = 0; i < n; i++) {
+      const
+          f = fl[i],
+          il = [];
+      for(let j = 0; j < f.inputs.length; j++) {
         const
-            pl = this.path_matrix[fc.identifier],
-            impacts = [];
-        for(let j = 0; j < fc.outcome.lengh; j++) {
-          const o = fc.outcome[j];
-          for(let pi = 0; pi < pl.length; pi ++) {
-            const op = pl[pi].indexOf(o);
-            if(op < 0) {
-              impacts.push(0);
-            } else {
-              // Calculate and push link multiplier result.
-              impacts.push(this.pathImpact(pl[pi], o));
+            l = f.inputs[j],
+            r = (l.expression.defined ? l.expression.result(0) : 0);
+        if(r && r > VM.ERROR && r < VM.EXCEPTION) {
+          il.push([index[l.from_factor.identifier], r]);
+        }
+      }
+      inputs.push(il);
+      if(!inputs_only || !f.inputs.length) vary.push(i);
+    }
+    const next = (s) => {
+        // Return the successor state of state `s`.
+        const ns = [];
+        for(let i = 0; i < n; i++) {
+          const f = fl[i];
+          if(!f.inputs.length) {
+            ns.push(s[i]);
+          } else {
+            const c = [];
+            for(let j = 0; j < inputs[i].length; j++) {
+              const ir = inputs[i][j];
+              c.push(ir[1] * (s[ir[0]] - 1));
             }
+            let v = Math.sign(f.aggregate(c, false));
+            if(f.isStock) v = Math.max(-1, Math.min(1, s[i] - 1 + v));
+            ns.push(v + 1);
           }
         }
-      }
-    }
-    if(type > 1) {
-      for(let i = 0; i < fc.context.length; i++) {
-        
-      }
-    }
-    return tbl;
-  }
-  
+        return ns;
+      };
+    const
+        res = {factors: fl, attractors: [], initial_states: 0,
+            sampled: Math.pow(3, vary.length) > CONFIGURATION.max_states,
+            unresolved: 0},
+        ns = (res.sampled ? CONFIGURATION.state_samples :
+            Math.pow(3, vary.length)),
+        // Lookup of attractor index by the states that lead to it.
+        memo = {},
+        // NOTE: Samples are drawn with the VM random generator, seeded per
+        // initial state, so that an analysis can be reproduced.
+        seed = this.random_seed || Math.floor(Math.random() * 1e9),
+        model = this,
+        search = {};
+    this.attractor_search = search;
+    const
+        analyzeState = (k) => {
+            // Generate the initial state: the k-th combination of digits
+            // for the varied factors, or a random combination if sampled.
+            let s = new Array(n).fill(1),
+                code = k;
+            if(res.sampled) VM.seedRandom(seed + k);
+            for(let j = 0; j < vary.length; j++) {
+              if(res.sampled) {
+                s[vary[j]] = Math.floor(VM.random() * 3);
+              } else {
+                s[vary[j]] = code % 3;
+                code = Math.floor(code / 3);
+              }
+            }
+            // Iterate until a state is revisited or is known to lead to an
+            // attractor.
+            const
+                path = [],
+                seen = {};
+            let key = s.join(''),
+                a = -1;
+            while(path.length <= CONFIGURATION.max_states) {
+              if(memo.hasOwnProperty(key)) {
+                a = memo[key];
+                break;
+              }
+              if(seen.hasOwnProperty(key)) {
+                // New attractor: let its first state be the "lowest" one.
+                const
+                    states = path.slice(seen[key]),
+                    m = states.indexOf(states.slice().sort()[0]);
+                a = res.attractors.length;
+                res.attractors.push({states: states.slice(m).concat(
+                    states.slice(0, m)), basin: 0});
+                break;
+              }
+              seen[key] = path.length;
+              path.push(key);
+              s = next(s);
+              key = s.join('');
+            }
+            res.initial_states++;
+            if(a < 0) {
+              res.unresolved++;
+            } else {
+              for(let i = 0; i < path.length; i++) memo[path[i]] = a;
+              res.attractors[a].basin++;
+            }
+          },
+        nextSlice = () => {
+            // Stop if this analysis has been superseded.
+            if(MODEL !== model || model.attractor_search !== search) return;
+            const
+                t0 = new Date().getTime(),
+                dt = CONFIGURATION.progress_needle_interval;
+            while(res.initial_states < ns && new Date().getTime() - t0 < dt) {
+              analyzeState(res.initial_states);
+            }
+            if(res.initial_states < ns) {
+              UI.setProgressNeedle(res.initial_states / ns);
+              setTimeout(nextSlice, 0);
+            } else {
+              model.attractor_search = null;
+              UI.setProgressNeedle(0);
+              // Sort attractors by decreasing basin size.
+              res.attractors.sort((a, b) => b.basin - a.basin);
+              if(done) done(res);
+            }
+          };
+    nextSlice();
+  }
+  
+  get structuralIssues() {
+    // Return a list of tuples {id, text} for each structural flaw in the
+    // model, where `id` identifies the entity concerned.
+    const
+        il = [],
+        fc = this.factorCategories,
+        reached = {},
+        queue = fc.action.slice();
+    // Find all factors that can be reached from some action.
+    while(queue.length) {
+      const f = queue.pop();
+      for(let i = 0; i < f.outputs.length; i++) {
+        const tf = f.outputs[i].to_factor;
+        if(!reached[tf.identifier]) {
+          reached[tf.identifier] = true;
+          queue.push(tf);
+        }
+      }
+    }
+    for(let k in this.factors) if(this.factors.hasOwnProperty(k)) {
+      const
+          f = this.factors[k],
+          dn = f.displayName;
+      if(!f.inputs.length && !f.outputs.length) {
+        il.push({id: k, text: `Factor "${dn}" is isolated (has no links)`});
+      } else if(f.hasActor && f.outputs.length &&
+          !f.outputs.some((l) => l.expression.defined)) {
+        // NOTE: Actor-owned factors without output links are outcomes of
+        // interest, and actor-owned factors without any links are isolated.
+        il.push({id: k, text: `Factor "${dn}" is owned by an actor ` +
+            'but has no effect (all its output links are undefined)'});
+      }
+      if(fc.outcome.indexOf(f) >= 0 && !reached[k]) {
+        il.push({id: k,
+            text: `Outcome "${dn}" cannot be affected by any action`});
+      }
+    }
+    for(let k in this.links) if(this.links.hasOwnProperty(k)) {
+      const
+          l = this.links[k],
+          dn = l.displayName;
+      if(l.from_factor === l.to_factor) {
+        il.push({id: k, text: `Link "${dn}" connects a factor to itself`});
+      }
+      if(!l.expression.defined) {
+        il.push({id: k, text: `Link "${dn}" has an undefined multiplier`});
+      }
+    }
+    for(let k in this.clusters) if(this.clusters.hasOwnProperty(k)) {
+      const c = this.clusters[k];
+      if(c !== this.top_cluster && !c.allFactors.length) {
+        il.push({id: k, text: `Cluster "${c.displayName}" is empty`});
+      }
+    }
+    const ax = this.allExpressions;
+    for(let i = 0; i < ax.length; i++) {
+      const x = ax[i];
+      if(x.defined && !x.compiled) x.compile();
+      if(x.compile_issue) {
+        il.push({id: x.object.identifier,
+            text: `Expression for ${x.object.type.toLowerCase()} ` +
+                `"${x.object.displayName}" is invalid: ${x.compile_issue}`});
+      }
+    }
+    return il;
+  }
+  
+  pathImpact(p, f) {
+    // Return multiplier product for links on path `p` from start to factor `f`.
+    // NOTE: Only link polarities are considered, so the product is 1 or -1,
+    // or 0 if the polarity of some link on the path is undetermined.
+    const fi = p.indexOf(f, 1);
+    if(fi < 0) return 0;
+    let r = 1;
+    for(let i = 1; i <= fi && r; i++) {
+      const l = this.links[UI.linkIdentifier(p[i - 1], p[i])];
+      r *= (l ? l.polarity : 0);
+    }
+    return r;
+  }
+  
+  impactTable(type, done) {
+    // Type 1: actions => outcomes, type 2: context => outcomes; type 3: combined.
+    // Call `done` with object {sources, outcomes, impact, truncated} where
+    // `impact` is a lookup with for each source factor ID a lookup with for
+    // each outcome factor ID the tuple
+    // {sign, paths, positive, negative, undetermined, conflict}
+    // that characterizes all causal paths from the source to the outcome,
+    // and `truncated` is a lookup with for each source factor ID TRUE if
+    // not all paths from this source have been analyzed.
+    const
+        fc = this.factorCategories,
+        sources = [],
+        tbl = {sources: sources, outcomes: fc.outcome, impact: {},
+            truncated: {}};
+    if(type % 2 === 1) sources.push(...fc.action);
+    if(type > 1) sources.push(...fc.context);
+    this.buildPathMatrix(sources, (pm) => {
+        for(let i = 0; i < sources.length; i++) {
+          const
+              sid = sources[i].identifier,
+              pl = pm[sid].paths,
+              impacts = {};
+          tbl.truncated[sid] = pm[sid].truncated;
+          for(let j = 0; j < fc.outcome.length; j++) {
+            const
+                o = fc.outcome[j],
+                imp = {sign: 0, paths: 0, positive: 0, negative: 0,
+                    undetermined: 0, conflict: false};
+            for(let pi = 0; pi < pl.length; pi++) {
+              // NOTE: The path matrix also contains all partial paths, so only
+              // consider paths that *end* at the outcome.
+              if(pl[pi][pl[pi].length - 1] === o) {
+                const r = this.pathImpact(pl[pi], o);
+                imp.paths++;
+                if(r > 0) {
+                  imp.positive++;
+                } else if(r < 0) {
+                  imp.negative++;
+                } else {
+                  imp.undetermined++;
+                }
+              }
+            }
+            // Paths conflict when some increase and others decrease the
+            // outcome.
+            imp.conflict = (imp.positive > 0 && imp.negative > 0);
+            // The net sign is determined only if all paths have the same sign.
+            if(imp.paths && imp.positive === imp.paths) {
+              imp.sign = 1;
+            } else if(imp.paths && imp.negative === imp.paths) {
+              imp.sign = -1;
+            }
+            impacts[o.identifier] = imp;
+          }
+          tbl.impact[sid] = impacts;
+        }
+        done(tbl);
+      });
+  }
+  
 } // END of class CLASTModel
 
 
@@ -1651,65 +2956,15 @@ class NodeBox extends ObjectWithXYWH {
     return nn;
   }
   
-} // END of class NodeBox
-
-
-// CLASS Cluster
-class Cluster extends NodeBox {
-  constructor(cluster, name, actor) {
-    super(cluster, name, actor);
-    this.factors = [];
-    this.sub_clusters = [];
-    this.notes = [];
-  }
-
-  get type() {
-    return 'Cluster';
-  }
-
-  get typeLetter() {
-    return 'C';
-  }
-
-  get infoLineName() {
-    const
-        afl = this.allFactors.length,
-        extra = `<span class="extra">(${pluralS(afl, 'factor')})</span>`;
-    return `<em>Cluster:</em> ${this.displayName}${extra}`;
-  }
-
-  get nestingLevel() {
-    // Return the "depth" of this cluster in the cluster hierarchy
-    if(this.parent) return this.parent.nestingLevel + 1; // recursion!
-    return 0;
-  }
-  
-  get rightMarginX() {
-    // Return the horizontal position 50px right of the edge of the
-    // right-most node in the diagram for this cluster.
-    let max = 0;
-    for(let i = 0; i < this.notes.length; i++) {
-      const n = this.notes[i];
-      max = Math.max(max, n.x + n.width / 2);
-    }
-    for(let i = 0; i < this.sub_clusters.length; i++) {
-      const c = this.sub_clusters[i];
-      max = Math.max(max, c.x + c.width / 2);
-    }
-    for(let i = 0; i < this.factors.length; i++) {
-      const f = this.factors[i];
-      max = Math.max(max, f.x + f.width / 2);
-    }
-    return max;
-  }
-  
   containsPoint(mpx, mpy) {
-    // Returns TRUE iff given coordinates lie within the cluster rectangle.
+    // Returns TRUE iff given coordinates lie within the node rectangle.
     return (Math.abs(mpx - this.x) <= this.width / 2 &&
         Math.abs(mpy - this.y) <= this.height / 2);
   }
   
   connectionPoint(p, tail) {
+    // Return the point where a link to (or from) `p` meets the rim of the
+    // node rectangle, and the control points for drawing this link.
     const
         dx = p.x - this.x,
         dy = p.y - this.y,
@@ -1779,7 +3034,59 @@ class Cluster extends NodeBox {
     cp.tcy = cp.y + cpm * cp.tsin;
     return cp;
   }
+  
+} // END of class NodeBox
+
+
+// CLASS Cluster
+class Cluster extends NodeBox {
+  constructor(cluster, name, actor) {
+    super(cluster, name, actor);
+    this.factors = [];
+    this.sub_clusters = [];
+    this.notes = [];
+  }
+
+  get type() {
+    return 'Cluster';
+  }
+
+  get typeLetter() {
+    return 'C';
+  }
+
+  get infoLineName() {
+    const
+        afl = this.allFactors.length,
+        extra = `<span class="extra">(${pluralS(afl, 'factor')})</span>`;
+    return `<em>Cluster:</em> ${this.displayName}${extra}`;
+  }
 
+  get nestingLevel() {
+    // Return the "depth" of this cluster in the cluster hierarchy
+    if(this.parent) return this.parent.nestingLevel + 1; // recursion!
+    return 0;
+  }
+  
+  get rightMarginX() {
+    // Return the horizontal position 50px right of the edge of the
+    // right-most node in the diagram for this cluster.
+    let max = 0;
+    for(let i = 0; i < this.notes.length; i++) {
+      const n = this.notes[i];
+      max = Math.max(max, n.x + n.width / 2);
+    }
+    for(let i = 0; i < this.sub_clusters.length; i++) {
+      const c = this.sub_clusters[i];
+      max = Math.max(max, c.x + c.width / 2);
+    }
+    for(let i = 0; i < this.factors.length; i++) {
+      const f = this.factors[i];
+      max = Math.max(max, f.x + f.width / 2);
+    }
+    return max;
+  }
+  
   get asXML() {
     let xml;
     const cmnts = xmlEncoded(this.comments);
@@ -2062,6 +3369,15 @@ class Cluster extends NodeBox {
     return i > -1;
   }
 
+  deleteFactor(f) {
+    // Remove factor `f` from this cluster's factor list.
+    // NOTE: The factor itself is removed from the model by the model's
+    // `deleteFactor` method, which also generates the undo-XML.
+    const i = this.factors.indexOf(f);
+    if(i >= 0) this.factors.splice(i, 1);
+    return i > -1;
+  }
+
 }  // END of class Cluster
 
 
@@ -2078,7 +3394,19 @@ class Factor extends NodeBox {
     this.visited = false;
     // Factors have a status vector containing either -1, 0, +1
     // an error code, or "not computed".
+    // NOTE: In continuous mode, status can be any number.
     this.status = [];
+    // In continuous mode, factor status can be bounded.
+    this.lower_bound = VM.MINUS_INFINITY;
+    this.upper_bound = VM.PLUS_INFINITY;
+    // In FCM mode, clamped factors are inputs that keep their activation.
+    this.clamped = false;
+    // Factors are either "variable" or "stock". The status of a stock
+    // accumulates its net inflows, starting at its initial value.
+    this.kind = 'variable';
+    // The aggregation rule determines how the contributions of incoming
+    // links are combined (see method `aggregatedInput`).
+    this.aggregation = 'sum';
   }
 
   setCode() {
@@ -2094,7 +3422,13 @@ class Factor extends NodeBox {
     return 'F';
   }
   
+  get isStock() {
+    return this.kind === 'stock';
+  }
+  
   containsPoint(x, y) {
+    // Stocks are drawn as rectangles.
+    if(this.isStock) return super.containsPoint(x, y);
     // Return TRUE if (x, y) lies within the ellipsis.
     const
         rx = (x - this.x) / this.width * 2,
@@ -2103,6 +3437,8 @@ class Factor extends NodeBox {
   }
   
   connectionPoint(p, tail) {
+    // Stocks are drawn as rectangles.
+    if(this.isStock) return super.connectionPoint(p, tail);
     const
         hw = this.width / 2,
         hh = this.height / 2,
@@ -2178,7 +3514,8 @@ class Factor extends NodeBox {
       }
       extra += `<code style="color: gray"> &#x225C; ${x.text}</code>`;
     }
-    return `<em>Factor:</em> ${this.displayName}${extra}`;
+    return `<em>${this.isStock ? 'Stock' : 'Factor'}:</em> ` +
+        this.displayName + extra;
   }
 
   get hiddenIO() {
@@ -2225,30 +3562,39 @@ class Factor extends NodeBox {
   }
   
   setPredecessors() {
-    // Recursive function to create list of all factors that precede
-    // this one.
-    for(let i = 0; i < this.inputs.length; i++) {
-      const
-          l = this.inputs[i],
-          v = l.visited,
-          ff = l.from_factor;
-      l.visited = true;
-      // Add the FROM factor as predecessor (if new).
-      if(this.predecessors.indexOf(ff) < 0) this.predecessors.push(ff);
-      // Recurse if FROM factor was not visited yet.
-      if(!v) ff.setPredecessors();
-      // Then also add all predecessors of the FROM factor (if new).
-      for(let j = 0; j < ff.predecessors.length; j++) {
-        const f = ff.predecessors[j];
-        if(this.predecessors.indexOf(f) < 0) this.predecessors.push(f);
-      }
-    }
+    // Create the list of all factors that precede this one.
+    this.predecessors = MODEL.reachableFactors(this, false);
     return this.predecessors;
   }
   
+  get hasLowerBound() {
+    return this.lower_bound > VM.MINUS_INFINITY;
+  }
+  
+  get hasUpperBound() {
+    return this.upper_bound < VM.PLUS_INFINITY;
+  }
+  
+  get boundsString() {
+    // Return the saturation bounds as an interval, or an empty string
+    // if the factor is unbounded.
+    if(!this.hasLowerBound && !this.hasUpperBound) return '';
+    return [(this.hasLowerBound ? '[' + VM.sig4Dig(this.lower_bound) :
+        '(\u2212\u221E'), ', ', (this.hasUpperBound ?
+            VM.sig4Dig(this.upper_bound) + ']' : '\u221E)')].join('');
+  }
+  
   get asXML() {
-    let xml = ['<factor code="', this.code,
-        '"><name>', xmlEncoded(this.name),
+    let b = '';
+    if(this.hasLowerBound) b += ` lower-bound="${this.lower_bound}"`;
+    if(this.hasUpperBound) b += ` upper-bound="${this.upper_bound}"`;
+    if(this.clamped) b += ' clamped="1"';
+    if(this.isStock) b += ' kind="stock"';
+    if(this.aggregation !== 'sum') {
+      b += ` aggregation="${this.aggregation}"`;
+    }
+    let xml = ['<factor code="', this.code, '"', b,
+        '><name>', xmlEncoded(this.name),
         '</name><actor>', xmlEncoded(this.actor.name),
         '</actor><comments>', xmlEncoded(this.comments),
         '</comments><x-coord>', this.x,
@@ -2264,6 +3610,13 @@ class Factor extends NodeBox {
     this.x = safeStrToInt(nodeContentByTag(node, 'x-coord'));
     this.y = safeStrToInt(nodeContentByTag(node, 'y-coord'));
     this.expression.text = xmlDecoded(nodeContentByTag(node, 'expression'));
+    this.lower_bound = safeStrToFloat(
+        nodeParameterValue(node, 'lower-bound'), VM.MINUS_INFINITY);
+    this.upper_bound = safeStrToFloat(
+        nodeParameterValue(node, 'upper-bound'), VM.PLUS_INFINITY);
+    this.clamped = nodeParameterValue(node, 'clamped') === '1';
+    this.kind = nodeParameterValue(node, 'kind') || 'variable';
+    this.aggregation = nodeParameterValue(node, 'aggregation') || 'sum';
     this.resize();
   }
 
@@ -2273,6 +3626,11 @@ class Factor extends NodeBox {
     this.y = f.y;
     this.comments = f.comments;
     this.expression.text = f.expression.text;
+    this.lower_bound = f.lower_bound;
+    this.upper_bound = f.upper_bound;
+    this.clamped = f.clamped;
+    this.kind = f.kind;
+    this.aggregation = f.aggregation;
   }
   
   isActive(t) {
@@ -2284,8 +3642,9 @@ class Factor extends NodeBox {
   changed(t) {
     if(!MODEL.solved) return 0;
     const s = (t < 0 ? VM.UNDEFINED : this.status[t]);
-    if(s !== VM.UNDEFINED) {
-      if(t <= 0) return Math.sign(s);
+    // NOTE: An ambiguous status is not a change in a known direction.
+    if(s !== VM.UNDEFINED && s !== VM.AMBIGUOUS) {
+      if(t <= 0 || this.status[t - 1] === VM.AMBIGUOUS) return Math.sign(s);
       return Math.sign(s - this.status[t - 1]);
     }
     return 0;
@@ -2295,40 +3654,256 @@ class Factor extends NodeBox {
     // Set value for this factor. If no expression is specified, this value
     // is inferred from the incoming links; otherwise it is the expression
     // result for time step `t`.
+    // NOTE: In continuous mode, link multipliers act as gains, and the
+    // status is not normalized, but kept within the factor's bounds.
+    // An intervention may set the status, overriding all else.
+    const sp = VM.setpoint(this, t);
+    if(sp !== null) {
+      // NOTE: When the status is a sign, so is the value that is set.
+      this.status[t] = (MODEL.numericStatus ? sp : Math.sign(sp));
+      return;
+    }
+    if(MODEL.fcm) {
+      this.updateActivation(t);
+      return;
+    }
+    const cm = MODEL.continuous;
     let s = VM.UNDEFINED;
-    if(this.expression.defined) {
+    if(this.isStock) {
+      s = this.stockLevel(t, cm);
+    } else if(this.expression.defined) {
       s = this.expression.result(t);
     } else {
-      s = 0;
-      for(let i = 0; i < this.inputs.length; i++) {
-        const l = this.inputs[i];
-        if(l.expression.defined) {
-          const r = l.expression.result(t);
-          if(r <= VM.ERROR) {
-            s = r;
-          } else if(r < VM.EXCEPTION) {
-            // NOTE: Treat exceptions as if the link multiplier is undefined.
-            const
-                ff = l.from_factor,
-                fs = ff.status[t],
-                fx = ff.expression,
-                fr = (fs && fs !== VM.UNDEFINED ? fs : (fx.defined ? fx.result(t) : 0)); 
-            if(fr <= VM.ERROR) {
-              s = fr;
-            } else if(fr < VM.EXCEPTION) {
-              // Add sign of result, so each link contributes either -1, 0 or +1.
-              s += Math.sign(r * fr);
-            }
-          }
-        }
-      }
+      // NOTE: In the synchronous scheme, the incoming links propagate the
+      // status of their FROM factor at the previous time step.
+      s = this.aggregatedInput(t, cm, MODEL.synchronous ? 1 : 0);
       // Normalize result to either -1, 0 or +1.
-      if(s > VM.ERROR) s = Math.sign(s);
+      if(s > VM.ERROR && s !== VM.AMBIGUOUS && !cm) s = Math.sign(s);
+    }
+    if(cm && s > VM.ERROR && s < VM.EXCEPTION) {
+      s = Math.max(this.lower_bound, Math.min(this.upper_bound, s));
     }
     // Update the status vector for time step `t`.
     this.status[t] = s;
   }
   
+  inputContributions(t, lag=0) {
+    // Return the list of contributions (multiplier times status of the
+    // FROM factor) of the incoming links of this factor at time step `t`.
+    // If `lag` > 0, the status of the FROM factor is taken `lag` time
+    // steps back.
+    // NOTE: Links having an undefined multiplier or an exceptional value
+    // do not contribute, but error codes are added to the list.
+    const c = [];
+    for(let i = 0; i < this.inputs.length; i++) {
+      const l = this.inputs[i];
+      if(l.expression.defined) {
+        const r = l.multiplier(t);
+        if(r <= VM.ERROR) {
+          c.push(r);
+        } else if(r < VM.EXCEPTION) {
+          // NOTE: Treat exceptions as if the link multiplier is undefined.
+          // For delayed links, use the status of the FROM factor at the
+          // time step that lies `delay` steps back. Before the start of
+          // the simulation, this status is 0 ("no change").
+          const
+              ff = l.from_factor,
+              lt = t - lag - l.delaySteps;
+          // NOTE: The level of a stock depends only on earlier time steps,
+          // so it can be computed when the stock comes later in the update
+          // sequence than this factor.
+          if(ff.isStock && lt >= 0 && !(ff.status[lt] < VM.EXCEPTION ||
+              ff.status[lt] === VM.AMBIGUOUS)) {
+            ff.updateStatus(lt);
+          }
+          const
+              fs = (lt < 0 ? 0 : ff.status[lt]),
+              fx = ff.expression,
+              // NOTE: For stocks, the expression defines the initial level,
+              // so it cannot substitute for the status.
+              fr = (ff.isStock || (fs && fs !== VM.UNDEFINED) ? fs :
+                  (fx.defined && lt >= 0 ? fx.result(lt) : 0));
+          if(fr <= VM.ERROR) {
+            c.push(fr);
+          } else if(fr === VM.AMBIGUOUS) {
+            // NOTE: An ambiguous status remains ambiguous, unless the link
+            // multiplier is 0.
+            c.push(r ? fr : 0);
+          } else if(fr < VM.EXCEPTION) {
+            c.push(r * fr);
+          }
+        }
+      }
+    }
+    return c;
+  }
+  
+  aggregatedInput(t, cm, lag=0) {
+    // Return the net effect of the incoming links of this factor at time
+    // step `t` according to the aggregation rule of this factor, or an
+    // error code.
+    const c = this.inputContributions(t, lag);
+    if(MODEL.qualitative) return this.qualitativeAggregate(c);
+    return this.aggregate(c, cm);
+  }
+  
+  qualitativeAggregate(c) {
+    // Return the net effect of contributions `c` in qualitative mode, i.e.,
+    // "ambiguous" if it depends on the unknown direction of ambiguous
+    // contributions, or if opposite contributions are added.
+    // NOTE: Ambiguous contributions are assumed to have unit magnitude.
+    const ai = [];
+    for(let i = 0; i < c.length; i++) {
+      if(c[i] <= VM.ERROR) return c[i];
+      if(c[i] === VM.AMBIGUOUS) ai.push(i);
+    }
+    // Limit the number of combinations of directions to be evaluated.
+    if(ai.length > 6) return VM.AMBIGUOUS;
+    const
+        cc = c.slice(),
+        nc = Math.pow(3, ai.length);
+    let outcome = null;
+    for(let k = 0; k < nc; k++) {
+      // Assign direction -1, 0 or +1 to each ambiguous contribution.
+      let code = k;
+      for(let j = 0; j < ai.length; j++) {
+        cc[ai[j]] = code % 3 - 1;
+        code = Math.floor(code / 3);
+      }
+      let o = Math.sign(this.aggregate(cc, false));
+      if(this.aggregation === 'sum') {
+        // In the signed sum, opposite contributions do not cancel out.
+        let pos = false,
+            neg = false;
+        for(let i = 0; i < cc.length; i++) {
+          if(cc[i] > 0) pos = true;
+          if(cc[i] < 0) neg = true;
+        }
+        if(pos && neg) o = VM.AMBIGUOUS;
+      }
+      if(outcome === null) {
+        outcome = o;
+      } else if(o !== outcome) {
+        return VM.AMBIGUOUS;
+      }
+    }
+    return outcome;
+  }
+  
+  aggregate(c, cm) {
+    // Return the net effect of the list of link contributions `c`
+    // according to the aggregation rule of this factor, or an error code.
+    // In sign mode, only the signs of the contributions matter, except
+    // for the weighted sum.
+    const
+        n = c.length,
+        rule = this.aggregation;
+    if(!n) return 0;
+    // Count positive and negative contributions, and compute their sum,
+    // the sum of their signs, and their extremes.
+    let np = 0,
+        nn = 0,
+        sum = 0,
+        ssum = 0,
+        max = c[0],
+        min = c[0];
+    for(let i = 0; i < n; i++) {
+      const v = c[i];
+      // Errors propagate.
+      if(v <= VM.ERROR) return v;
+      if(v > 0) np++;
+      if(v < 0) nn++;
+      sum += v;
+      ssum += Math.sign(v);
+      max = Math.max(max, v);
+      min = Math.min(min, v);
+    }
+    if(rule === 'weighted') return sum;
+    if(rule === 'majority') {
+      // More than half of *all* contributions must have the same sign.
+      return (np > n / 2 ? 1 : (nn > n / 2 ? -1 : 0));
+    }
+    if(rule === 'and') {
+      // All contributions must have the same sign; in continuous mode,
+      // the weakest contribution determines the effect.
+      if(np === c.length) return (cm ? min : 1);
+      if(nn === c.length) return (cm ? max : -1);
+      return 0;
+    }
+    if(rule === 'or') {
+      // Some contribution must be non-zero, and there must be no
+      // contributions of opposite sign; in continuous mode, the strongest
+      // contribution determines the effect.
+      if(np && !nn) return (cm ? max : 1);
+      if(nn && !np) return (cm ? min : -1);
+      return 0;
+    }
+    if(rule === 'max') {
+      // The contribution with the largest magnitude dominates.
+      // NOTE: When ties have opposite signs, the effect is 0.
+      const m = (max > -min ? max : (-min > max ? min : 0));
+      return (cm ? m : Math.sign(m));
+    }
+    if(rule === 'min') return (cm ? min : Math.sign(min));
+    // By default, add the contributions. In sign mode, add their signs,
+    // so each link contributes either -1, 0 or +1.
+    return (cm ? sum : ssum);
+  }
+  
+  stockLevel(t, cm) {
+    // Return the level of this stock at time step `t`, i.e., its initial
+    // level (defined by its expression) plus the net inflows of all
+    // earlier time steps.
+    // NOTE: Inflows are not multiplied by the time step duration, so
+    // link multipliers are rates per time step. As the level depends only
+    // on the previous time step, it is the same in both update schemes.
+    const x = this.expression;
+    if(t <= 0) return (x.defined ? x.result(0) : 0);
+    const sp = this.status[t - 1];
+    // NOTE: Once ambiguous, the level of a stock remains ambiguous.
+    if(sp <= VM.ERROR || sp >= VM.EXCEPTION) return sp;
+    const ni = this.aggregatedInput(t - 1, cm);
+    if(ni <= VM.ERROR || ni >= VM.EXCEPTION) return ni;
+    return sp + ni;
+  }
+  
+  updateActivation(t) {
+    // Set the FCM activation level of this factor for time step `t`.
+    // NOTE: The expression defines the initial activation (t = 0), and
+    // for clamped factors also the activation at later time steps. All
+    // other factors are updated synchronously from the activations at
+    // the previous time step, so the update sequence does not matter.
+    // Stocks are treated as ordinary concepts, as FCMs do not accumulate,
+    // and the aggregation rule is ignored, as FCMs use weighted sums.
+    const x = this.expression;
+    if(t <= 0 || this.clamped) {
+      this.status[t] = (x.defined ? x.result(t) : 0);
+      return;
+    }
+    // Kosko's rule uses only the weighted inputs; the modified rule also
+    // adds the factor's own previous activation.
+    let s = (MODEL.fcm_rule === 'modified' ? this.status[t - 1] : 0);
+    for(let i = 0; i < this.inputs.length && s > VM.ERROR; i++) {
+      const l = this.inputs[i];
+      if(l.expression.defined) {
+        const w = l.multiplier(t);
+        if(w <= VM.ERROR) {
+          s = w;
+        } else if(w < VM.EXCEPTION) {
+          // NOTE: Delayed links look further back, but not before t = 0.
+          const a = l.from_factor.status[Math.max(0, t - 1 - l.delaySteps)];
+          if(a <= VM.ERROR) {
+            s = a;
+          } else if(a < VM.EXCEPTION) {
+            // FCM weights lie in the range [-1, 1].
+            s += Math.max(-1, Math.min(1, w)) * a;
+          }
+        }
+      }
+    }
+    this.status[t] = (s > VM.ERROR ? MODEL.fcmSquash(s) : s);
+  }
+  
   get variablesInScope() {
     // Returns a list of names of all variables within scope of this factor.
     const
@@ -2351,6 +3926,9 @@ class Link {
     this.to_factor = to_f;
     // Link multiplier (undefined => not shown in diagram).
     this.expression = new Expression(this, '1');
+    // Link delay is expressed either in time steps or in a time unit.
+    this.delay = 0;
+    this.delay_unit = 'step';
     // Other properties are used for drawing, editing, etc.
     this.from_x = 0;
     this.from_y = 0;
@@ -2381,6 +3959,13 @@ class Link {
         this.to_factor.displayName;
   }
 
+  multiplier(t) {
+    // Return the multiplier of this link at time step `t`, which may be
+    // set by an intervention.
+    const sp = VM.setpoint(this, t);
+    return (sp === null ? this.expression.result(t) : sp);
+  }
+
   get identifier() {
     // NOTE: link IDs are based on the factor codes rather than IDs,
     // as this prevents problems when factors are renamed.
@@ -2391,7 +3976,9 @@ class Link {
     const
         ff = this.from_factor,
         tf = this.to_factor;
-    return ['<link><from-code>', ff.code,
+    const d = (this.delay > 0 ? [' delay="', this.delay,
+        '" delay-unit="', this.delay_unit, '"'].join('') : '');
+    return ['<link', d, '><from-code>', ff.code,
       '</from-code><to-code>', tf.code,
       '</to-code><comments>', xmlEncoded(this.comments),
       '</comments><expression>', xmlEncoded(this.expression.text),
@@ -2401,14 +3988,51 @@ class Link {
   initFromXML(node) {
     this.comments = xmlDecoded(nodeContentByTag(node, 'comments'));
     this.expression.text = xmlDecoded(nodeContentByTag(node, 'expression'));
+    this.delay = Math.max(0,
+        safeStrToFloat(nodeParameterValue(node, 'delay'), 0));
+    this.delay_unit = nodeParameterValue(node, 'delay-unit') || 'step';
   }
 
   copyPropertiesFrom(l) {
     // Set properties to be identical to those of link `l`
     this.comments = l.comments;
     this.expression.text = l.expression.text;
+    this.delay = l.delay;
+    this.delay_unit = l.delay_unit;
+  }
+  
+  get delaySteps() {
+    // Return the link delay as a number of time steps.
+    if(!(this.delay > 0)) return 0;
+    // NOTE: A delay shorter than one time step is rounded up, as the
+    // modeler intends the link to be delayed (and the diagram shows it
+    // as delayed).
+    if(this.delay_unit === 'step') return Math.max(1, Math.round(this.delay));
+    return Math.max(1, Math.round(this.delay *
+        VM.time_unit_values[this.delay_unit] / MODEL.timeStepDuration));
+  }
+  
+  get delayString() {
+    // Return the link delay in human-readable form.
+    if(!(this.delay > 0)) return '';
+    if(this.delay_unit === 'step') {
+      return pluralS(this.delay, 'time step');
+    }
+    return `${this.delay} ${VM.time_unit_shorthand[this.delay_unit]}`;
   }
   
+  get polarity() {
+    // Return 1 if the link multiplier is a positive constant, -1 if it is
+    // a negative constant, and 0 if its sign cannot be determined.
+    const x = this.expression;
+    if(x.defined && x.isStatic) {
+      const r = x.result(0);
+      if(r > VM.NEAR_ZERO && r < VM.EXCEPTION) return 1;
+      if(r < -VM.NEAR_ZERO && r > VM.ERROR) return -1;
+    }
+    return 0;
+  }
+
   get visibleNodes() {
     // Returns tuple [from, to] where TRUE indicates that this node is
     // visible in the focal cluster.
@@ -2434,18 +4058,31 @@ class Link {
     // Return list of indices in the cycle list if link is part of
     // such a cycle.
     // NOTE: Limit cycle set if modeler is viewing cycles selectively.
-    const cn = [];
-    for(let i = 0; i < MODEL.cycle_list.length; i++) {
-      if(MODEL.show_all_cycles || i === MODEL.selected_cycle) {
-        const
-            c = MODEL.cycle_list[i],
-            ffi = c.indexOf(this.from_factor);
-        if(ffi >= 0 && c.lastIndexOf(this.to_factor) === ffi + 1) cn.push(i);
-      }
+    const
+        cn = [],
+        hc = MODEL.highlightedCycles;
+    for(let i = 0; i < hc.length; i++) {
+      const
+          c = MODEL.cycle_list[hc[i]],
+          ffi = c.indexOf(this.from_factor);
+      if(ffi >= 0 && c.lastIndexOf(this.to_factor) === ffi + 1) cn.push(hc[i]);
     }
     return cn;
   }
   
+  get pathNumbers() {
+    // Return list of indices in the list of highlighted paths if link
+    // is part of such a path.
+    const pn = [];
+    for(let i = 0; i < MODEL.highlighted_paths.length; i++) {
+      const
+          p = MODEL.highlighted_paths[i],
+          ffi = p.indexOf(this.from_factor);
+      if(ffi >= 0 && p[ffi + 1] === this.to_factor) pn.push(i);
+    }
+    return pn;
+  }
+  
   inList(list) {
     // Return TRUE iff both the FROM node and the TO node of this link
     // are elements of `list`.
@@ -2464,4 +4101,329 @@ class Link {
     return [this.from_factor];
   }
 
-} // END of class Link
\ No newline at end of file
+} // END of class Link
+
+
+// CLASS NamedLoop (entry in the loop catalog)
+class NamedLoop {
+  constructor(link_ids) {
+    // NOTE: A loop is identified by the set of its links, as the order
+    // in which loops are detected may change when the model is edited.
+    this.link_ids = link_ids.slice().sort();
+    this.name = '';
+    this.narrative = '';
+    // The polarity of a named loop is documented by the modeler, and
+    // may therefore differ from the polarity inferred from its links.
+    this.polarity = 0;
+    this.important = false;
+  }
+
+  get key() {
+    return this.link_ids.join(';');
+  }
+  
+  get displayName() {
+    return this.name || '(unnamed loop)';
+  }
+  
+  get cycle() {
+    // Return this loop as list of factors [A, B, ..., A], or NULL if its
+    // links no longer constitute a loop.
+    const
+        ll = this.link_ids.map((id) => MODEL.links[id]),
+        next = {};
+    if(!ll.length) return null;
+    for(let i = 0; i < ll.length; i++) {
+      const l = ll[i];
+      // NOTE: Each factor in a loop has exactly one outgoing link.
+      if(!l || next[l.from_factor.identifier]) return null;
+      next[l.from_factor.identifier] = l.to_factor;
+    }
+    const c = [ll[0].from_factor];
+    let f = ll[0].to_factor;
+    while(f && f !== c[0] && c.length <= ll.length) {
+      c.push(f);
+      f = next[f.identifier];
+    }
+    if(f !== c[0] || c.length !== ll.length) return null;
+    c.push(f);
+    return c;
+  }
+  
+  get asXML() {
+    let xml = ['<loop polarity="', this.polarity,
+        (this.important ? '" important="1' : ''),
+        '"><name>', xmlEncoded(this.name),
+        '</name><narrative>', xmlEncoded(this.narrative),
+        '</narrative><loop-links>'].join('');
+    for(let i = 0; i < this.link_ids.length; i++) {
+      xml += `<link-id>${xmlEncoded(this.link_ids[i])}</link-id>`;
+    }
+    return xml + '</loop-links></loop>';
+  }
+  
+  initFromXML(node) {
+    this.polarity = safeStrToInt(nodeParameterValue(node, 'polarity'), 0);
+    this.important = nodeParameterValue(node, 'important') === '1';
+    this.name = xmlDecoded(nodeContentByTag(node, 'name'));
+    this.narrative = xmlDecoded(nodeContentByTag(node, 'narrative'));
+    const n = childNodeByTag(node, 'loop-links');
+    this.link_ids.length = 0;
+    if(n && n.childNodes) {
+      for(let i = 0; i < n.childNodes.length; i++) {
+        const c = n.childNodes[i];
+        if(c.nodeName === 'link-id') {
+          this.link_ids.push(xmlDecoded(nodeContent(c)));
+        }
+      }
+    }
+    this.link_ids.sort();
+  }
+
+} // END of class NamedLoop
+
+
+// CLASS Intervention (entry in the intervention schedule)
+class Intervention {
+  constructor(entity=null) {
+    // An intervention sets the status of a factor or the multiplier of a
+    // link to `value` from time step `start` onwards, either during
+    // `duration` time steps, or until the end of the run if the duration
+    // is 0.
+    this.entity = entity;
+    this.start = 0;
+    this.duration = 0;
+    this.value = 0;
+  }
+  
+  get valid() {
+    // Return TRUE if the entity still exists in the model.
+    return MODEL.hasEntity(this.entity);
+  }
+  
+  get lastStep() {
+    // Return the last time step at which the schedule changes due to this
+    // intervention.
+    return this.start + this.duration;
+  }
+  
+  appliesAt(t) {
+    // Return TRUE if this intervention applies at time step `t`.
+    return t >= this.start &&
+        (this.duration <= 0 || t < this.start + this.duration);
+  }
+  
+  get valueString() {
+    // Return the value with a plus sign when positive.
+    return (this.value > 0 ? '+' : '') + VM.sig4Dig(this.value);
+  }
+  
+  get asString() {
+    // Return this intervention in the notation used in the schedule.
+    const ss = (this.duration > 0 ? 'at' : 'from') + ` t=${this.start} ` +
+        `set [${this.entity.displayName}] to ${this.valueString}`;
+    if(this.duration <= 0) return ss;
+    return ss + ' for ' + pluralS(this.duration, 'step');
+  }
+  
+  get asXML() {
+    const e = this.entity;
+    return ['<intervention ', (e instanceof Link ? 'link' : 'factor'),
+        '="', xmlEncoded(e instanceof Link ? e.identifier : e.code),
+        '" start="', this.start, '" duration="', this.duration,
+        '" value="', this.value, '"></intervention>'].join('');
+  }
+  
+  initFromXML(node) {
+    const
+        fc = nodeParameterValue(node, 'factor'),
+        lid = nodeParameterValue(node, 'link');
+    // NOTE: Factors are identified by their code, and links by their ID
+    // (which is based on factor codes), so renaming does not matter.
+    this.entity = (fc ? MODEL.factorByCode(fc) :
+        MODEL.linkByID(xmlDecoded(lid)));
+    this.start = safeStrToInt(nodeParameterValue(node, 'start'), 0);
+    this.duration = safeStrToInt(nodeParameterValue(node, 'duration'), 0);
+    this.value = safeStrToFloat(nodeParameterValue(node, 'value'), 0);
+  }
+
+} // END of class Intervention
+
+
+// CLASS Scenario (named set of changes to the model)
+class Scenario {
+  constructor(name) {
+    this.name = name;
+    // Overrides are pairs {entity, text} where the entity is a factor or
+    // link, and the text replaces its expression (for links: multiplier).
+    this.overrides = [];
+    // A run length of 0 means: use the run length of the model.
+    this.run_length = 0;
+    // Results are lookup objects {factor ID: status vector}. They are not
+    // saved, but kept while the model is being edited.
+    this.results = null;
+    // While a scenario is run, the model properties it changes are saved.
+    this.saved = [];
+    this.saved_run_length = 0;
+  }
+  
+  get displayName() {
+    return this.name || '(unnamed scenario)';
+  }
+  
+  get validOverrides() {
+    // Return the list of overrides for factors and links that (still)
+    // exist in the model.
+    const ol = [];
+    for(let i = 0; i < this.overrides.length; i++) {
+      const o = this.overrides[i];
+      if(MODEL.hasEntity(o.entity)) ol.push(o);
+    }
+    return ol;
+  }
+  
+  get overridesAsString() {
+    // Return the overrides as lines of text, like in the scenario editor.
+    const
+        ol = this.validOverrides,
+        sl = [];
+    for(let i = 0; i < ol.length; i++) {
+      sl.push(`[${ol[i].entity.displayName}] = ${ol[i].text}`);
+    }
+    return sl.join('\n');
+  }
+  
+  apply() {
+    // Modify the model as specified by this scenario.
+    const ol = this.validOverrides;
+    this.saved.length = 0;
+    for(let i = 0; i < ol.length; i++) {
+      const x = ol[i].entity.expression;
+      this.saved.push([x, x.text]);
+      x.text = ol[i].text;
+    }
+    this.saved_run_length = MODEL.run_length;
+    if(this.run_length > 0) MODEL.run_length = this.run_length;
+  }
+  
+  restore() {
+    // Undo the modifications made by `apply`.
+    for(let i = 0; i < this.saved.length; i++) {
+      this.saved[i][0].text = this.saved[i][1];
+    }
+    this.saved.length = 0;
+    MODEL.run_length = this.saved_run_length;
+  }
+  
+  storeResults() {
+    // Keep a copy of the status vectors of all factors.
+    this.results = {};
+    for(let k in MODEL.factors) if(MODEL.factors.hasOwnProperty(k)) {
+      this.results[k] = MODEL.factors[k].status.slice();
+    }
+  }
+  
+  get asXML() {
+    const ol = this.validOverrides;
+    let xml = ['<scenario run-length="', this.run_length,
+        '"><name>', xmlEncoded(this.name), '</name><overrides>'].join('');
+    for(let i = 0; i < ol.length; i++) {
+      const e = ol[i].entity;
+      // NOTE: Like interventions, factors are identified by their code.
+      xml += ['<override ', (e instanceof Link ? 'link' : 'factor'),
+          '="', xmlEncoded(e instanceof Link ? e.identifier : e.code), '">',
+          xmlEncoded(ol[i].text), '</override>'].join('');
+    }
+    return xml + '</overrides></scenario>';
+  }
+  
+  initFromXML(node) {
+    this.name = xmlDecoded(nodeContentByTag(node, 'name'));
+    this.run_length = safeStrToInt(nodeParameterValue(node, 'run-length'), 0);
+    const n = childNodeByTag(node, 'overrides');
+    this.overrides.length = 0;
+    if(n && n.childNodes) {
+      for(let i = 0; i < n.childNodes.length; i++) {
+        const c = n.childNodes[i];
+        if(c.nodeName === 'override') {
+          const
+              fc = nodeParameterValue(c, 'factor'),
+              lid = nodeParameterValue(c, 'link'),
+              e = (fc ? MODEL.factorByCode(fc) :
+                  MODEL.linkByID(xmlDecoded(lid)));
+          if(e) {
+            this.overrides.push({entity: e, text: xmlDecoded(nodeContent(c))});
+          }
+        }
+      }
+    }
+  }
+
+} // END of class Scenario
+
+
+// CLASS ReplicationResults (factor status aggregated over replications)
+class ReplicationResults {
+  constructor(model) {
+    // NOTE: When factor status is a sign, the number of runs in which a
+    // factor has status -1, 0 or +1 is counted; when it is a number,
+    // the sum and the sum of squares are kept to compute mean and SD.
+    this.numeric = model.numericStatus;
+    this.run_length = model.run_length;
+    this.runs = 0;
+    // Lookup object {factor ID: list of tallies, one per time step}.
+    this.tallies = {};
+  }
+  
+  addRun(model) {
+    // Add the status of all factors in the run that has been completed.
+    // NOTE: Special values (ambiguous, undefined, errors) are not tallied,
+    // so shares and means are computed only over runs with a valid status.
+    for(let k in model.factors) if(model.factors.hasOwnProperty(k)) {
+      const s = model.factors[k].status;
+      if(!this.tallies[k]) {
+        this.tallies[k] = [];
+        for(let t = 0; t <= this.run_length; t++) {
+          this.tallies[k].push([0, 0, 0]);
+        }
+      }
+      const tl = this.tallies[k];
+      for(let t = 0; t <= this.run_length; t++) {
+        const v = (t < s.length ? s[t] : VM.UNDEFINED);
+        if(v <= VM.MINUS_INFINITY || v >= VM.PLUS_INFINITY) continue;
+        if(this.numeric) {
+          tl[t][0]++;
+          tl[t][1] += v;
+          tl[t][2] += v * v;
+        } else {
+          tl[t][Math.sign(v) + 1]++;
+        }
+      }
+    }
+    this.runs++;
+  }
+  
+  shares(k, t) {
+    // Return the fractions of runs in which the factor with ID `k` has
+    // status -1, 0 and +1 at time step `t`.
+    // NOTE: Runs in which the status is a special value are not counted.
+    const tl = this.tallies[k];
+    if(!tl || t > this.run_length) return null;
+    const n = tl[t][0] + tl[t][1] + tl[t][2];
+    if(!n) return null;
+    return [tl[t][0] / n, tl[t][1] / n, tl[t][2] / n];
+  }
+  
+  meanAndSD(k, t) {
+    // Return mean and standard deviation of the status of the factor with
+    // ID `k` at time step `t`.
+    const tl = this.tallies[k];
+    if(!tl || t > this.run_length) return null;
+    const [n, sum, sum_sq] = tl[t];
+    if(!n) return null;
+    const mean = sum / n;
+    // NOTE: Rounding errors may make the variance slightly negative.
+    return [mean, Math.sqrt(Math.max(0, sum_sq / n - mean * mean))];
+  }
+
+} // END of class ReplicationResults
\ No newline at end of file
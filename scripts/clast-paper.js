@@ -404,6 +404,15 @@ class Paper {
         9: ['7,56', '0,7,7,49', '0,14,7,42', '0,21,7,35', '0,28,7,28',
             '0,35,7,21', '0,42,7,14', '0,49,7,7', '0,56,7,0']
       };
+    // Symbols for factor aggregation rules (none for the signed sum).
+    this.aggregation_symbols = {
+        majority: 'maj',
+        and: '\u2227',
+        or: '\u2228',
+        weighted: 'w\u03A3',
+        max: 'max',
+        min: 'min'
+      };
   }
 
   newSVGElement(type) {
@@ -931,6 +940,7 @@ class Paper {
     for(let i = 0; i < fc.notes.length; i++) {
       this.drawNote(fc.notes[i]);
     }
+    this.drawLoopLabels(mdl);
     // Resize paper if necessary.
     this.extend();
     // Display model name in browser.
@@ -959,9 +969,50 @@ class Paper {
     for(let i = 0; i < vl.length; i++) {
       this.drawLink(vl[i], dx, dy);
     }
+    this.drawLoopLabels(mdl);
     this.extend(); 
   }
   
+  drawLoopLabels(mdl) {
+    // Draw labels (R1, B1, etc.) for the highlighted loops at the center
+    // of their nodes that are visible in the focal cluster.
+    if(!this.loop_labels) this.loop_labels = new Shape();
+    this.loop_labels.clear();
+    const
+        fc = mdl.focal_cluster,
+        hc = mdl.highlightedCycles,
+        labels = (hc.length ? mdl.cycleLabels : []);
+    for(let h = 0; h < hc.length; h++) {
+      const
+          i = hc[h],
+          c = mdl.cycle_list[i],
+          vn = [];
+      for(let j = 1; j < c.length; j++) {
+        // NOTE: Factors in sub-clusters are "visible" as their cluster.
+        let n = fc.containsFactor(c[j]);
+        if(n === fc) n = c[j];
+        if(n) addDistinct(n, vn);
+      }
+      // Do not label loops that are not visible as such.
+      if(vn.length > 1) {
+        let x = 0,
+            y = 0;
+        for(let j = 0; j < vn.length; j++) {
+          x += vn[j].x;
+          y += vn[j].y;
+        }
+        x /= vn.length;
+        y /= vn.length;
+        this.loop_labels.addCircle(x, y, 10,
+            {stroke: this.palette.cycle[i % 8], 'stroke-width': 2.5,
+                fill: 'white', opacity: 0.9});
+        this.loop_labels.addText(x, y, labels[i],
+            {'font-size': 9, 'font-weight': 700, fill: 'black'});
+      }
+    }
+    this.loop_labels.appendToDOM();
+  }
+  
   drawLink(l, dx=0, dy=0) {
     // Draws link `l` on the paper.
     let stroke_color,
@@ -1036,7 +1087,16 @@ class Paper {
     } else if(l.is_feedback) {
       cn = l.cycleNumbers;
     }
-    const n = cn.length;
+    // Highlighted paths are drawn in the same way as cycles.
+    if(MODEL.highlighted_paths.length) {
+      const dll = (l.deep_links.length ? l.deep_links : [l]);
+      for(let i = 0; i < dll.length; i++) {
+        mergeDistinct(dll[i].pathNumbers, cn);
+      }
+    }
+    // NOTE: Dash patterns are defined for at most 9 cycles per link, so
+    // when all loops are shown, only the first 9 are drawn.
+    const n = Math.min(cn.length, 9);
     for(let i = 0; i < n; i++) {
       const
           str = this.palette.cycle[cn[i] % 8],
@@ -1080,12 +1140,43 @@ class Paper {
       stroke_color = (activated ? '#60b060' : '#808090');
       chev = this.deep_open_wedge;
       opac = 0.75;
+    } else if(MODEL.link_influence) {
+      // Draw links thicker in proportion to their influence on outcomes.
+      stroke_width += 6 * (MODEL.link_influence[luc.identifier] || 0);
     }
     const tl = l.shape.addPath(
         [`M${x1},${y1}C${fcx},${fcy},${tcx},${tcy},${x2},${y2}`],
         {fill: 'none', stroke: stroke_color, 'stroke-width': stroke_width,
             'stroke-dasharray': sda, 'stroke-linecap': 'round',
             'marker-end': chev, opacity: opac});
+    if(luc.delay > 0) {
+      // Mark delayed links by two short parallel bars across the middle
+      // of the curve, as is conventional in causal loop diagrams.
+      const
+          a = [x1, y1],
+          b = [fcx, fcy],
+          c = [tcx, tcy],
+          d = [x2, y2],
+          mp = this.bezierPoint(a, b, c, d, 0.5),
+          p1 = this.bezierPoint(a, b, c, d, 0.45),
+          p2 = this.bezierPoint(a, b, c, d, 0.55),
+          tdx = p2[0] - p1[0],
+          tdy = p2[1] - p1[1],
+          tlen = Math.sqrt(tdx*tdx + tdy*tdy) || 1,
+          // Unit vector along the curve...
+          ux = tdx / tlen,
+          uy = tdy / tlen;
+      // ... so (-uy, ux) is perpendicular to it.
+      for(const off of [-2.5, 2.5]) {
+        const
+            cx = mp[0] + off * ux,
+            cy = mp[1] + off * uy;
+        l.shape.addPath(['M', cx + 6 * uy, ',', cy - 6 * ux,
+            'L', cx - 6 * uy, ',', cy + 6 * ux],
+            {stroke: stroke_color, 'stroke-width': 1.5, fill: 'none',
+                'stroke-linecap': 'round', opacity: opac});
+      }
+    }
     if(l.expression.defined && (l.expression.isStatic || MODEL.solved)) {
       // When possible, show sign of link multiplier, and also its value
       // if this is not 1 or -1.
@@ -1227,20 +1318,38 @@ class Paper {
       stroke_width = 2.5;
     }
     // Draw frame using colors as defined above.
-    fact.shape.addEllipse(x, y, hw, hh, {fill: fill_color,
-        stroke: stroke_color, 'stroke-width': stroke_width});
-    // Add arcs indicating hidden links (if any).
+    // NOTE: Stocks are drawn as rectangles, all other factors as ellipses.
+    const stock = fact.isStock;
+    if(stock) {
+      fact.shape.addRect(x, y, 2 * hw, 2 * hh, {fill: fill_color,
+          stroke: stroke_color, 'stroke-width': stroke_width});
+    } else {
+      fact.shape.addEllipse(x, y, hw, hh, {fill: fill_color,
+          stroke: stroke_color, 'stroke-width': stroke_width});
+    }
+    // Add arcs (for stocks: bars) indicating hidden links (if any).
     const
         io = fact.hiddenIO,
         pi = Math.PI;
-    if(io.in.length) {
+    if(stock) {
+      if(io.in.length) {
+        fact.shape.addPath(['M', x - hw - 3, ',', y - hh * 0.6,
+            'l0,', hh * 1.2], {fill: 'none', stroke: stroke_color,
+                'stroke-width': stroke_width / 2});
+      }
+      if(io.out.length) {
+        fact.shape.addPath(['M', x + hw + 3, ',', y - hh * 0.6,
+            'l0,', hh * 1.2], {fill: 'none', stroke: stroke_color,
+                'stroke-width': stroke_width / 2});
+      }
+    } else if(io.in.length) {
       const ap = this.arc(hw + 3, hh + 3, pi * 0.35, pi * 0.15);
       fact.shape.addPath(['M', x - (hw + 3) * Math.cos(pi * 0.15), ',',
           y - (hh + 3 * hh/hw) * Math.sin(pi * 0.15), ap],
               {fill: 'none', stroke: stroke_color,
                   'stroke-width': stroke_width / 2});
     }
-    if(io.out.length) {
+    if(io.out.length && !stock) {
       const ap = this.arc(hw + 3, hh + 3, pi * 2.15, pi * 2.35);
       fact.shape.addPath(['M', x - (hw + 3) * Math.cos(pi * 1.15), ',',
           y - (hh + 3 * hh/hw) * Math.sin(pi * 1.15), ap],
@@ -1248,14 +1357,20 @@ class Paper {
                   'stroke-width': stroke_width / 2});
     }
     // Add actor color inner rim.
-    fact.shape.addEllipse(x, y, hw - 2.5, hh - 2.5,
-        {stroke: fact.actor.color, 'stroke-width': 4, fill: 'none',
-            'pointer-events': 'auto', 'data-id': fact.identifier});
-    // Add near-invisible "connector" rim.
-    const rim = fact.shape.addEllipse(x, y, hw, hh,
-        {stroke: this.palette.transparent, 'stroke-width': 9,
+    const
+        iattr = {stroke: fact.actor.color, 'stroke-width': 4, fill: 'none',
+            'pointer-events': 'auto', 'data-id': fact.identifier},
+        rattr = {stroke: this.palette.transparent, 'stroke-width': 9,
             fill: this.palette.transparent,
-            'pointer-events': 'auto', 'data-id': fact.identifier});
+            'pointer-events': 'auto', 'data-id': fact.identifier};
+    if(stock) {
+      fact.shape.addRect(x, y, 2 * hw - 5, 2 * hh - 5, iattr);
+    } else {
+      fact.shape.addEllipse(x, y, hw - 2.5, hh - 2.5, iattr);
+    }
+    // Add near-invisible "connector" rim.
+    const rim = (stock ? fact.shape.addRect(x, y, 2 * hw, 2 * hh, rattr) :
+        fact.shape.addEllipse(x, y, hw, hh, rattr));
     UI.nodeRim(rim);
     // Always draw factor name plus actor name (if any).
     const
@@ -1267,20 +1382,29 @@ class Paper {
           {'font-size': 10, fill: this.palette.actor_font,
               'font-style': 'italic'});
     }
-    if(fact.expression.defined) {
-      const r = fact.expression.result(MODEL.t);
-      let s = '',
+    // NOTE: In continuous and FCM mode, the status of solved factors is
+    // shown as a number, also when the factor has no expression. The same
+    // holds for the level of stocks.
+    const
+        cm = MODEL.numericStatus,
+        cs = ((cm || stock) && MODEL.solved ?
+            fact.status[MODEL.t] : VM.UNDEFINED),
+        shows = cs !== undefined && cs !== VM.UNDEFINED;
+    if(fact.expression.defined || shows) {
+      let r = (shows ? cs : fact.expression.result(MODEL.t)),
+          s = (shows ? VM.sig4Dig(r) : ''),
           img = '';
-      if(fact.expression.isStatic) {
+      if(fact.expression.defined && fact.expression.isStatic) {
         s = VM.sig4Dig(r);
-        if(r === 1)  {
+        // NOTE: Up/down arrows are meaningless when multipliers are gains.
+        if(r === 1 && !cm)  {
           img = 'increase';
-        } else if(r === -1) {
+        } else if(r === -1 && !cm) {
           img = 'decrease';
         } else {
           img = 'constant';
         }
-      } else {
+      } else if(fact.expression.defined) {
         if(MODEL.solved) s = VM.sig4Dig(r);
         img = 'formula';
       }
@@ -1291,7 +1415,8 @@ class Paper {
       if(s) {
         const te = fact.shape.addText(x, y - hh + 6, s,
             {'font-size': 9, 'font-family': 'MPlus', 'font-weight': 700});
-        if(r <= VM.ERROR || r >= VM.EXCEPTION) {
+        // NOTE: An ambiguous status is not an error.
+        if(r <= VM.ERROR || (r >= VM.EXCEPTION && r !== VM.AMBIGUOUS)) {
           te.setAttribute('fill', '#c00000');
           te.setAttribute('font-weight', 700);
         } else {
@@ -1299,9 +1424,25 @@ class Paper {
         }
       }
     }
+    // Show the aggregation rule (if not the default) in the right lobe.
+    const ar = this.aggregation_symbols[fact.aggregation];
+    if(ar) {
+      fact.shape.addText(x + hw - 10, y, ar,
+          {'font-size': 9, 'font-weight': 700, fill: '#808080'});
+    }
+    // Mark factors having ambiguous status with a question mark on the rim.
+    if(MODEL.solved && fact.status[MODEL.t] === VM.AMBIGUOUS) {
+      fact.shape.addCircle(x, y - hh, 7,
+          {fill: '#ffe080', stroke: '#c08000', 'stroke-width': 1});
+      fact.shape.addText(x, y - hh, '?',
+          {'font-size': 10, 'font-weight': 700, fill: '#806000'});
+    }
     // Highlight shape if needed.
     let filter = '';
-    const change = fact.changed(MODEL.t);
+    // NOTE: When an attractor state is shown, highlight this state instead
+    // of the change computed by the simulation.
+    const change = (MODEL.shown_state ?
+        MODEL.shown_state[fact.identifier] || 0 : fact.changed(MODEL.t));
     if(change > 0) {
       filter = this.increased_filter;
     } else if(change < 0) {
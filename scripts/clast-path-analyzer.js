@@ -0,0 +1,152 @@
+/*
+CLAST is an executable graphical editor for causal loop diagrams.
+This tool is developed by Pieter Bots at Delft University of Technology.
+
+This JavaScript file (clast-path-analyzer.js) provides the GUI functionality
+for the CLAST "path analyzer": the draggable/resizable dialog that lists
+causal paths of interest, and permits highlighting these paths in the
+model diagram.
+*/
+
+/*
+Copyright (c) 2024 Delft University of Technology
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights to
+use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+of the Software, and to permit persons to whom the Software is furnished to do
+so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+// CLASS PathAnalyzer provides the path analysis dialog functionality
+class PathAnalyzer {
+  constructor() {
+    this.dialog = UI.draggableDialog('paths');
+    UI.resizableDialog('paths', 'PATH_ANALYZER');
+    this.close_btn = document.getElementById('paths-close-btn');
+    this.refresh_btn = document.getElementById('paths-refresh-btn');
+    // Make toolbar buttons responsive.
+    this.close_btn.addEventListener('click', (e) => UI.toggleDialog(e));
+    this.refresh_btn.addEventListener('click', () => PATH_ANALYZER.refresh());
+    this.table = document.getElementById('paths-table');
+    this.status = document.getElementById('paths-status');
+    // Set own properties.
+    this.visible = false;
+    this.reset();
+  }
+
+  reset() {
+    // NOTE: Ambiguities are computed only on demand, as this may take
+    // time for large models.
+    this.ambiguities = null;
+    // List of factors for which not all paths have been analyzed.
+    this.truncated = [];
+    // The analysis in progress (if any) is abandoned.
+    if(this.analysis) UI.normalCursor();
+    this.analysis = null;
+    // Selected item is a tuple [ambiguity index, path index], where the
+    // path index is -1 if all paths of an ambiguity are highlighted.
+    this.selected = null;
+  }
+  
+  refresh() {
+    // Analyze the model again, and clear the highlighted paths.
+    this.ambiguities = null;
+    if(this.analysis) UI.normalCursor();
+    this.analysis = null;
+    this.selected = null;
+    MODEL.highlightPaths([]);
+    this.updateDialog();
+  }
+  
+  analyze() {
+    // Find the ambiguous influences, and then display them.
+    // NOTE: Results of an analysis that has been abandoned are ignored.
+    const analysis = {};
+    this.analysis = analysis;
+    UI.waitingCursor();
+    MODEL.ambiguousInfluences((ai) => {
+        if(PATH_ANALYZER.analysis !== analysis) return;
+        PATH_ANALYZER.analysis = null;
+        PATH_ANALYZER.ambiguities = ai.influences;
+        PATH_ANALYZER.truncated = ai.truncated;
+        UI.normalCursor();
+        PATH_ANALYZER.updateDialog();
+      });
+  }
+  
+  updateDialog() {
+    // Display the list of ambiguous influences with their paths.
+    if(!MODEL) return;
+    if(!this.ambiguities) {
+      if(!this.analysis) this.analyze();
+      this.table.innerHTML = '';
+      this.status.innerHTML = 'Analyzing causal paths\u2026';
+      return;
+    }
+    const
+        al = this.ambiguities,
+        sel = this.selected || [-1, -1],
+        signs = ['\u2212', '?', '+'],
+        html = [];
+    for(let i = 0; i < al.length; i++) {
+      const
+          a = al[i],
+          np = a.signs.filter((s) => s > 0).length,
+          nn = a.signs.filter((s) => s < 0).length;
+      html.push('<tr class="dataset paths-pair',
+          (sel[0] === i && sel[1] < 0 ? ' sel-set' : ''),
+          '" onclick="PATH_ANALYZER.selectPaths(', i,
+          ', -1);"><td colspan="2">',
+          a.from.displayName, UI.LINK_ARROW, a.to.displayName, ' (',
+          np, '+, ', nn, '\u2212', (a.paths.length > np + nn ?
+              `, ${a.paths.length - np - nn}?` : ''), ')</td></tr>');
+      for(let j = 0; j < a.paths.length; j++) {
+        const ps = MODEL.pathAsString(a.paths[j]);
+        html.push('<tr class="dataset',
+            (sel[0] === i && sel[1] === j ? ' sel-set' : ''),
+            '" onclick="PATH_ANALYZER.selectPaths(', i, ', ', j,
+            ');"><td class="paths-sign">', signs[a.signs[j] + 1],
+            '</td><td title="', safeDoubleQuotes(ps), '">', ps, '</td></tr>');
+      }
+    }
+    this.table.innerHTML = html.join('');
+    let msg = pluralS(al.length, 'ambiguous influence');
+    if(this.truncated.length) {
+      msg += ' (NOTE: path analysis stopped after ' +
+          `${CONFIGURATION.max_paths} paths, so not all paths from ` +
+          `${pluralS(this.truncated.length, 'factor')} have been analyzed)`;
+    }
+    this.status.innerHTML = msg;
+  }
+  
+  selectPaths(i, j) {
+    // Highlight path `j` of ambiguity `i`, or all its paths if `j` < 0.
+    // Clicking on the selected item again cancels the highlighting.
+    const a = this.ambiguities[i];
+    if(this.selected && this.selected[0] === i && this.selected[1] === j) {
+      this.selected = null;
+      MODEL.highlightPaths([]);
+      UI.setMessage('');
+    } else {
+      this.selected = [i, j];
+      MODEL.highlightPaths(j < 0 ? a.paths : [a.paths[j]]);
+      UI.setMessage(j < 0 ? `Ambiguous influence of ${a.from.displayName} ` +
+          `on ${a.to.displayName}` : MODEL.pathAsString(a.paths[j]));
+    }
+    this.updateDialog();
+  }
+  
+} // END of class PathAnalyzer
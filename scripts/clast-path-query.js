@@ -0,0 +1,205 @@
+/*
+CLAST is an executable graphical editor for causal loop diagrams.
+This tool is developed by Pieter Bots at Delft University of Technology.
+
+This JavaScript file (clast-path-query.js) provides the GUI functionality
+for the CLAST "path query": the draggable/resizable dialog that lists all
+causal paths from one factor to another, and permits highlighting these
+paths in the model diagram.
+*/
+
+/*
+Copyright (c) 2024 Delft University of Technology
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights to
+use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+of the Software, and to permit persons to whom the Software is furnished to do
+so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+// CLASS PathQuery provides the path query dialog functionality
+class PathQuery {
+  constructor() {
+    this.dialog = UI.draggableDialog('query');
+    UI.resizableDialog('query', 'PATH_QUERY');
+    this.close_btn = document.getElementById('query-close-btn');
+    // Make toolbar buttons responsive.
+    this.close_btn.addEventListener('click', (e) => UI.toggleDialog(e));
+    this.from_name = document.getElementById('query-from');
+    this.to_name = document.getElementById('query-to');
+    document.getElementById('query-from-btn').addEventListener('click',
+        () => PATH_QUERY.useSelection('from'));
+    document.getElementById('query-to-btn').addEventListener('click',
+        () => PATH_QUERY.useSelection('to'));
+    // Factors can also be dragged from the Finder onto the FROM and TO
+    // fields.
+    for(const ft of ['from', 'to']) {
+      const e = this[ft + '_name'];
+      e.addEventListener('dragover', (event) => PATH_QUERY.dragOver(event));
+      e.addEventListener('drop', (event) => PATH_QUERY.drop(event, ft));
+    }
+    this.table = document.getElementById('query-table');
+    this.status = document.getElementById('query-status');
+    // Set own properties.
+    this.visible = false;
+    this.reset();
+  }
+
+  reset() {
+    this.from = null;
+    this.to = null;
+    // NOTE: Paths are computed only when the FROM or TO factor changes,
+    // as this may take time for large models.
+    this.paths = null;
+    this.truncated = false;
+    // Index of the selected path, or -1 if all paths are highlighted.
+    this.selected = null;
+  }
+  
+  setFactor(ft, f) {
+    // Set the FROM or TO factor of the query, and clear the results.
+    this[ft] = f;
+    this.paths = null;
+    if(this.selected !== null) {
+      this.selected = null;
+      MODEL.highlightPaths([]);
+    }
+    this.updateDialog();
+  }
+  
+  useSelection(ft) {
+    // Use the selected factor as FROM or TO factor.
+    const sel = MODEL.selection;
+    if(sel.length === 1 && sel[0] instanceof Factor) {
+      this.setFactor(ft, sel[0]);
+    } else {
+      UI.notify('Select one factor in the diagram');
+    }
+  }
+  
+  dragOver(e) {
+    // Accept only factors that are dragged from the Finder.
+    if(MODEL.factors[e.dataTransfer.getData('text')]) e.preventDefault();
+  }
+  
+  drop(e, ft) {
+    // Use the factor that is dropped as FROM or TO factor.
+    const f = MODEL.factors[e.dataTransfer.getData('text')];
+    if(f) {
+      e.preventDefault();
+      this.setFactor(ft, f);
+    }
+  }
+  
+  updateDialog() {
+    // Display the list of paths from the FROM factor to the TO factor.
+    if(!MODEL) return;
+    // NOTE: Factors may have been deleted.
+    for(const ft of ['from', 'to']) {
+      const f = this[ft];
+      if(f && MODEL.factors[f.identifier] !== f) {
+        this[ft] = null;
+        this.paths = null;
+      }
+    }
+    this.from_name.innerHTML = (this.from ? this.from.displayName :
+        '(drop factor here)');
+    this.to_name.innerHTML = (this.to ? this.to.displayName :
+        '(drop factor here)');
+    if(!this.from || !this.to) {
+      this.table.innerHTML = '';
+      this.status.innerHTML = 'Select or drag factors from the Finder';
+      return;
+    }
+    if(this.from === this.to) {
+      this.table.innerHTML = '';
+      this.status.innerHTML = 'FROM and TO must be different factors';
+      return;
+    }
+    if(!this.paths) {
+      const pb = MODEL.pathsBetween(this.from, this.to);
+      this.paths = pb.paths;
+      this.truncated = pb.truncated;
+    }
+    const
+        pl = this.paths,
+        // Paths are sorted by length, so the first path is the shortest.
+        minl = (pl.length ? pl[0].path.length : 0),
+        signs = ['\u2212', '?', '+'],
+        html = [];
+    if(pl.length > 1) {
+      html.push('<tr class="dataset query-all',
+          (this.selected === -1 ? ' sel-set' : ''),
+          '" onclick="PATH_QUERY.selectPath(-1);"><td colspan="3">',
+          'All paths</td></tr>');
+    }
+    for(let i = 0; i < pl.length; i++) {
+      const
+          p = pl[i],
+          ps = MODEL.pathAsString(p.path);
+      html.push('<tr class="dataset',
+          (p.path.length === minl ? ' query-shortest' : ''),
+          (this.selected === i ? ' sel-set' : ''),
+          '" onclick="PATH_QUERY.selectPath(', i,
+          ');"><td class="query-sign">', signs[p.sign + 1],
+          '</td><td class="query-length">', p.path.length - 1,
+          '</td><td title="', safeDoubleQuotes(ps), '">', ps, '</td></tr>');
+    }
+    this.table.innerHTML = html.join('');
+    let msg = pluralS(pl.length, 'path');
+    if(pl.length) {
+      const
+          np = pl.filter((p) => p.sign > 0).length,
+          nn = pl.filter((p) => p.sign < 0).length;
+      msg += `; shortest has ${pluralS(minl - 1, 'link')}; net influence ` +
+          (np === pl.length ? 'positive' : (nn === pl.length ? 'negative' :
+              (np && nn ? 'ambiguous' : 'undetermined')));
+    }
+    if(this.truncated) {
+      msg += ` (NOTE: only the first ${CONFIGURATION.max_paths} paths ` +
+          'have been analyzed)';
+    }
+    this.status.innerHTML = msg;
+  }
+  
+  selectPath(i) {
+    // Highlight path `i`, or all paths if `i` < 0. Clicking on the selected
+    // row again cancels the highlighting.
+    // NOTE: Links on paths that leave the focal cluster are highlighted by
+    // highlighting the deep links that comprise them.
+    if(this.selected === i) {
+      this.selected = null;
+      MODEL.highlightPaths([]);
+      UI.setMessage('');
+    } else {
+      this.selected = i;
+      MODEL.highlightPaths(i < 0 ? this.paths.map((p) => p.path) :
+          [this.paths[i].path]);
+      UI.setMessage(i < 0 ? `Causal paths from ${this.from.displayName} ` +
+          `to ${this.to.displayName}` :
+          MODEL.pathAsString(this.paths[i].path));
+    }
+    this.updateDialog();
+  }
+  
+  upDownKey(dir) {
+    // Select the path above or below the selected one (if possible).
+    if(!this.paths || !this.paths.length) return;
+    const i = (this.selected === null ? -1 : this.selected) + dir;
+    if(i >= 0 && i < this.paths.length) this.selectPath(i);
+  }
+  
+} // END of class PathQuery
@@ -0,0 +1,175 @@
+/*
+CLAST is an executable graphical editor for causal loop diagrams.
+This tool is developed by Pieter Bots at Delft University of Technology.
+
+This JavaScript file (clast-replication-viewer.js) provides the GUI
+functionality for the CLAST "replication viewer": the draggable/resizable
+dialog that shows, for each factor, how its status is distributed over the
+runs when the model is run more than once (Monte Carlo replications).
+*/
+
+/*
+Copyright (c) 2024 Delft University of Technology
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights to
+use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+of the Software, and to permit persons to whom the Software is furnished to do
+so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+// CLASS ReplicationViewer provides the replications dialog functionality
+class ReplicationViewer {
+  constructor() {
+    this.dialog = UI.draggableDialog('replications');
+    UI.resizableDialog('replications', 'REPLICATION_VIEWER');
+    this.close_btn = document.getElementById('replications-close-btn');
+    this.run_btn = document.getElementById('replications-run-btn');
+    // Make toolbar buttons responsive.
+    this.close_btn.addEventListener('click', (e) => UI.toggleDialog(e));
+    this.run_btn.addEventListener('click', () => REPLICATION_VIEWER.run());
+    this.step = document.getElementById('replications-step');
+    this.step.addEventListener('change',
+        () => REPLICATION_VIEWER.updateDialog());
+    this.table = document.getElementById('replications-table');
+    this.status = document.getElementById('replications-status');
+    // Set own properties.
+    this.visible = false;
+    this.reset();
+  }
+  
+  reset() {
+    // NOTE: Results are kept only while the model is being edited.
+    this.results = null;
+    this.selected_factor = '';
+  }
+  
+  run() {
+    // Run the model for the number of replications set for the model.
+    if(MODEL.replications < 2) {
+      UI.notify('Set the number of replications in the model settings');
+      return;
+    }
+    VM.solve();
+  }
+  
+  resultsReady(r) {
+    // Show the results `r` of a batch of replications.
+    if(!r.runs) return;
+    this.results = r;
+    UI.notify(pluralS(r.runs, 'replication') + ' run -- showing ' +
+        'aggregated results');
+    if(this.visible) {
+      this.updateDialog();
+    } else {
+      // NOTE: Clicking the button opens the dialog, which then is updated.
+      UI.buttons.replications.click();
+    }
+  }
+  
+  updateDialog() {
+    // Display the distribution of the status of each factor at the
+    // selected time step.
+    if(!MODEL) return;
+    const r = this.results;
+    if(!r) {
+      this.step.innerHTML = '';
+      this.table.innerHTML = '';
+      this.status.innerHTML = (MODEL.replications > 1 ?
+          'Click on the run button to run ' +
+              pluralS(MODEL.replications, 'replication') :
+          'Set the number of replications in the model settings');
+      return;
+    }
+    const
+        ts = Math.min(r.run_length, safeStrToInt(this.step.value,
+            r.run_length)),
+        ol = [];
+    for(let t = 0; t <= r.run_length; t++) {
+      ol.push('<option value="', t, '"', (t === ts ? ' selected' : ''),
+          '>t = ', t, '</option>');
+    }
+    this.step.innerHTML = ol.join('');
+    const fl = [];
+    for(let k in MODEL.factors) if(MODEL.factors.hasOwnProperty(k)) {
+      // NOTE: Factors that have been added after the run have no results.
+      if(r.tallies[k]) fl.push(MODEL.factors[k]);
+    }
+    fl.sort((a, b) => UI.compareFullNames(a.displayName, b.displayName));
+    const html = ['<tr><th></th>'];
+    if(r.numeric) {
+      html.push('<th>mean</th><th>SD</th>');
+    } else {
+      html.push('<th>\u2212</th><th>0</th><th>+</th>');
+    }
+    html.push('</tr>');
+    for(let i = 0; i < fl.length; i++) {
+      const
+          k = fl[i].identifier,
+          sel = k === this.selected_factor;
+      html.push('<tr class="dataset', (sel ? ' sel-set' : ''),
+          '" onclick="REPLICATION_VIEWER.selectFactor(\'', k,
+          '\');"><td class="replications-factor">', fl[i].displayName,
+          '</td>');
+      if(r.numeric) {
+        const msd = r.meanAndSD(k, ts);
+        for(let j = 0; j < 2; j++) {
+          html.push('<td class="replications-value">',
+              (msd ? VM.sig4Dig(msd[j]) : '\u2013'), '</td>');
+        }
+      } else {
+        const sh = r.shares(k, ts);
+        for(let j = 0; j < 3; j++) {
+          if(!sh) {
+            html.push('<td class="replications-value">\u2013</td>');
+            continue;
+          }
+          // NOTE: Shade the cell in proportion to the share.
+          const pct = Math.round(sh[j] * 100);
+          html.push('<td class="replications-value" style="background: ',
+              'linear-gradient(to right, #c0d8ff ', pct, '%, transparent ',
+              pct, '%)">', pct, '%</td>');
+        }
+      }
+      html.push('</tr>');
+    }
+    this.table.innerHTML = html.join('');
+    this.status.innerHTML = pluralS(r.runs, 'replication') +
+        ` (time step ${ts})`;
+  }
+  
+  selectFactor(k) {
+    // Highlight the row of the factor with ID `k`, and select this factor
+    // in the diagram so that it stands out.
+    this.selected_factor = (k === this.selected_factor ? '' : k);
+    const f = MODEL.factors[this.selected_factor];
+    if(f) {
+      MODEL.selectList([f]);
+      UI.drawDiagram(MODEL);
+    }
+    this.updateDialog();
+  }
+  
+  upDownKey(dir) {
+    // Show the results for the previous or next time step.
+    if(!this.results) return;
+    const t = safeStrToInt(this.step.value, 0) + dir;
+    if(t >= 0 && t <= this.results.run_length) {
+      this.step.value = t;
+      this.updateDialog();
+    }
+  }
+
+} // END of class ReplicationViewer
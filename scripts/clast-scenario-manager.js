@@ -0,0 +1,355 @@
+/*
+CLAST is an executable graphical editor for causal loop diagrams.
+This tool is developed by Pieter Bots at Delft University of Technology.
+
+This JavaScript file (clast-scenario-manager.js) provides the GUI
+functionality for the CLAST "scenario manager": the draggable/resizable
+dialog that lists the scenarios defined for the model, runs them in one
+batch, and compares their results side by side.
+*/
+
+/*
+Copyright (c) 2024 Delft University of Technology
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights to
+use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+of the Software, and to permit persons to whom the Software is furnished to do
+so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+// CLASS ScenarioManager provides the scenario dialog functionality
+class ScenarioManager {
+  constructor() {
+    this.dialog = UI.draggableDialog('scenarios');
+    UI.resizableDialog('scenarios', 'SCENARIO_MANAGER');
+    this.close_btn = document.getElementById('scenarios-close-btn');
+    this.run_btn = document.getElementById('scenarios-run-btn');
+    this.add_btn = document.getElementById('scenarios-add-btn');
+    this.edit_btn = document.getElementById('scenarios-edit-btn');
+    this.delete_btn = document.getElementById('scenarios-delete-btn');
+    // Make toolbar buttons responsive.
+    this.close_btn.addEventListener('click', (e) => UI.toggleDialog(e));
+    this.run_btn.addEventListener('click', () => SCENARIO_MANAGER.runAll());
+    this.add_btn.addEventListener('click',
+        () => SCENARIO_MANAGER.showScenarioModal(true));
+    this.edit_btn.addEventListener('click',
+        () => SCENARIO_MANAGER.showScenarioModal(false));
+    this.delete_btn.addEventListener('click',
+        () => SCENARIO_MANAGER.deleteScenario());
+    this.view = document.getElementById('scenarios-view');
+    this.view.addEventListener('change',
+        () => SCENARIO_MANAGER.updateDialog());
+    this.step = document.getElementById('scenarios-step');
+    this.step.addEventListener('change',
+        () => SCENARIO_MANAGER.updateDialog());
+    this.table = document.getElementById('scenarios-table');
+    this.status = document.getElementById('scenarios-status');
+    // Modal related to this dialog
+    this.scenario_modal = new ModalDialog('scenario');
+    this.scenario_modal.ok.addEventListener('click',
+        () => SCENARIO_MANAGER.modifyScenario());
+    this.scenario_modal.cancel.addEventListener('click',
+        () => SCENARIO_MANAGER.scenario_modal.hide());
+    // Set own properties.
+    this.visible = false;
+    this.reset();
+  }
+  
+  reset() {
+    // NOTE: The base model is run as a scenario without changes, so that
+    // other scenarios can be compared with it.
+    this.base = new Scenario('(base model)');
+    // The selected scenario is an index in the list of all scenarios,
+    // where 0 denotes the base model.
+    this.selected = -1;
+    this.edited = null;
+  }
+  
+  get allScenarios() {
+    // Return the list of scenarios, starting with the base model.
+    return (MODEL ? [this.base].concat(MODEL.scenarios) : []);
+  }
+  
+  get selectedScenario() {
+    // Return the selected scenario (if any).
+    return this.allScenarios[this.selected] || null;
+  }
+  
+  updateDialog() {
+    // Display the list of scenarios or the comparison of their results.
+    if(!MODEL) return;
+    if(this.view.value === 'compare') {
+      this.step.style.display = 'inline-block';
+      this.showComparison();
+      return;
+    }
+    this.step.style.display = 'none';
+    const
+        sl = this.allScenarios,
+        html = [];
+    let nr = 0;
+    for(let i = 0; i < sl.length; i++) {
+      const
+          sc = sl[i],
+          n = sc.validOverrides.length;
+      if(sc.results) nr++;
+      html.push('<tr class="dataset', (i === this.selected ? ' sel-set' : ''),
+          (i ? '' : ' scenarios-base'),
+          '" onclick="SCENARIO_MANAGER.selectScenario(', i,
+          ');" ondblclick="SCENARIO_MANAGER.showScenarioModal(false);" ',
+          'title="', safeDoubleQuotes(sc.overridesAsString), '"><td>',
+          sc.displayName, '</td><td>', (i ? pluralS(n, 'change') : ''),
+          '</td><td>', (sc.run_length || MODEL.run_length),
+          ' steps</td><td class="scenarios-run">',
+          (sc.results ? 'run' : 'not run'), '</td></tr>');
+    }
+    this.table.innerHTML = html.join('');
+    this.status.innerHTML = pluralS(sl.length - 1, 'scenario') +
+        ` (${nr} with results)`;
+  }
+  
+  showComparison() {
+    // Display a table with the status of each factor for each scenario
+    // that has results, highlighting where it differs from the base model.
+    const
+        sl = this.allScenarios,
+        rl = [],
+        fl = [];
+    let tmax = 0;
+    for(let i = 0; i < sl.length; i++) if(sl[i].results) {
+      rl.push(i);
+      tmax = Math.max(tmax, sl[i].run_length || MODEL.run_length);
+    }
+    if(!rl.length) {
+      this.table.innerHTML = '';
+      this.status.innerHTML = 'Click on the run button to run all scenarios';
+      return;
+    }
+    // Let the modeler select the time step, or an outcome statistic
+    // computed over all time steps of the run.
+    const
+        os = VM.outcome_statistics,
+        sv = this.step.value,
+        ts = (os.indexOf(sv) >= 0 ? sv :
+            Math.min(tmax, safeStrToInt(sv, tmax))),
+        ol = [];
+    for(let i = 0; i < os.length; i++) {
+      ol.push('<option value="', os[i], '"', (os[i] === ts ? ' selected' : ''),
+          '>', os[i], '</option>');
+    }
+    for(let t = 0; t <= tmax; t++) {
+      ol.push('<option value="', t, '"', (t === ts ? ' selected' : ''),
+          '>t = ', t, '</option>');
+    }
+    this.step.innerHTML = ol.join('');
+    for(let k in MODEL.factors) if(MODEL.factors.hasOwnProperty(k)) {
+      fl.push(MODEL.factors[k]);
+    }
+    fl.sort((a, b) => UI.compareFullNames(a.displayName, b.displayName));
+    const
+        base = sl[0].results,
+        html = ['<tr><th></th>'];
+    for(let j = 0; j < rl.length; j++) {
+      html.push('<th class="scenarios-head', (rl[j] === this.selected ?
+          ' sel-set' : ''), '" onclick="SCENARIO_MANAGER.selectScenario(',
+          rl[j], ');" title="Show results of this scenario on the diagram">',
+          sl[rl[j]].displayName, '</th>');
+    }
+    html.push('</tr>');
+    let nd = 0;
+    for(let i = 0; i < fl.length; i++) {
+      const k = fl[i].identifier;
+      html.push('<tr><td class="scenarios-factor">', fl[i].displayName,
+          '</td>');
+      for(let j = 0; j < rl.length; j++) {
+        const
+            v = this.resultAt(sl[rl[j]], k, ts),
+            b = (base ? this.resultAt(sl[0], k, ts) : v),
+            diff = rl[j] && v !== b;
+        if(diff) nd++;
+        html.push('<td class="scenarios-value', (diff ? ' scenarios-diff' : ''),
+            '">', VM.sig4Dig(v), '</td>');
+      }
+      html.push('</tr>');
+    }
+    this.table.innerHTML = html.join('');
+    this.status.innerHTML = (base ? pluralS(nd, 'difference') +
+        ' with base model' : 'Base model has no results') +
+        (typeof ts === 'number' ? ` at time step ${ts}` : ` (${ts})`);
+  }
+  
+  resultAt(sc, k, t) {
+    // Return the status of the factor with ID `k` at time step `t` in the
+    // results of scenario `sc`. If `t` is a string, it denotes an outcome
+    // statistic over all time steps of the scenario run.
+    const v = sc.results[k];
+    if(!v) return VM.UNDEFINED;
+    if(typeof t === 'string') {
+      return VM.outcomeStatistic(v, t, sc.run_length || MODEL.run_length);
+    }
+    return (t < v.length ? v[t] : VM.UNDEFINED);
+  }
+  
+  selectScenario(i) {
+    // Select scenario `i`, and show its results (if any) on the diagram.
+    this.selected = i;
+    const sc = this.selectedScenario;
+    if(sc && sc.results) {
+      this.copyResults(sc);
+      MODEL.solved = true;
+      UI.drawDiagram(MODEL);
+      UI.setMessage(`Showing results of scenario "${sc.displayName}"`);
+    }
+    this.updateDialog();
+  }
+  
+  copyResults(sc) {
+    // Set the status of all factors to the results of scenario `sc`.
+    // NOTE: Factors that have been added after the run have no results.
+    for(let k in MODEL.factors) if(MODEL.factors.hasOwnProperty(k)) {
+      const s = MODEL.factors[k].status;
+      MODEL.cleanVector(s, VM.UNDEFINED, VM.UNDEFINED);
+      for(let t = 0; t < s.length; t++) s[t] = this.resultAt(sc, k, t);
+    }
+  }
+  
+  runAll() {
+    // Run the base model and then all scenarios.
+    VM.solveScenarios(this.allScenarios);
+  }
+  
+  batchCompleted(n) {
+    // Show the results of the selected scenario (by default the base model)
+    // after `n` scenarios have been run.
+    let sc = this.selectedScenario;
+    if(!(sc && sc.results)) {
+      this.selected = 0;
+      sc = this.base;
+    }
+    this.copyResults(sc);
+    UI.notify(pluralS(n, 'scenario') + ' run -- showing results of ' +
+        sc.displayName);
+    this.updateDialog();
+  }
+  
+  showScenarioModal(add) {
+    // Display modal for adding a scenario, or for editing the selected one.
+    const
+        sc = (add ? null : this.selectedScenario),
+        md = this.scenario_modal;
+    if(!add && !sc) {
+      UI.notify('First select a scenario');
+      return;
+    }
+    if(sc === this.base) {
+      UI.notify('The base model cannot be edited as scenario');
+      return;
+    }
+    this.edited = sc;
+    md.element('name').value = (sc ? sc.name : '');
+    md.element('run-length').value = (sc && sc.run_length ?
+        sc.run_length : '');
+    md.element('overrides').value = (sc ? sc.overridesAsString : '');
+    md.show('name');
+  }
+  
+  modifyScenario() {
+    // Validate the inputs, and then add or update the edited scenario.
+    const
+        md = this.scenario_modal,
+        name = md.element('name').value.trim(),
+        rli = md.element('run-length'),
+        oi = md.element('overrides'),
+        lines = oi.value.trim().split('\n'),
+        ol = [];
+    if(!name) {
+      UI.warn('Scenario must have a name');
+      md.element('name').focus();
+      return;
+    }
+    for(let i = 0; i < MODEL.scenarios.length; i++) {
+      const sc = MODEL.scenarios[i];
+      if(sc !== this.edited && sc.name === name) {
+        UI.warn(`Scenario "${name}" already exists`);
+        md.element('name').focus();
+        return;
+      }
+    }
+    let rl = 0;
+    if(rli.value.trim()) {
+      rl = UI.validNumericInput('scenario-run-length', 'run length');
+      if(rl === false) return;
+      rl = Math.max(1, Math.floor(rl));
+    }
+    // Each line of the overrides must have the form [entity] = expression.
+    for(let i = 0; i < lines.length; i++) {
+      const l = lines[i].trim();
+      if(!l) continue;
+      const
+          m = l.match(/^\[([^\]]+)\]\s*=\s*(.+)$/),
+          e = (m ? UI.factorOrLinkByName(m[1]) : null);
+      let msg = '';
+      if(!m) {
+        msg = 'Invalid syntax';
+      } else if(!e) {
+        msg = `Unknown factor or link "${m[1].trim()}"`;
+      } else {
+        const xp = new ExpressionParser(monoSpacedVariables(m[2].trim()), e);
+        if(xp.error) {
+          msg = `Invalid expression for [${e.displayName}]: ${xp.error}`;
+        } else {
+          ol.push({entity: e, text: xp.expr});
+        }
+      }
+      if(msg) {
+        UI.warn(`${msg} (line ${i + 1})`);
+        oi.focus();
+        return;
+      }
+    }
+    let sc = this.edited;
+    if(!sc) {
+      sc = new Scenario(name);
+      MODEL.scenarios.push(sc);
+      this.selected = MODEL.scenarios.length;
+    }
+    sc.name = name;
+    sc.run_length = rl;
+    sc.overrides = ol;
+    // Results of an edited scenario are no longer valid.
+    sc.results = null;
+    md.hide();
+    this.updateDialog();
+  }
+  
+  deleteScenario() {
+    // Remove the selected scenario.
+    const sc = this.selectedScenario;
+    if(sc && sc !== this.base) {
+      MODEL.scenarios.splice(this.selected - 1, 1);
+      this.selected = -1;
+      UI.notify(`Scenario "${sc.displayName}" deleted`);
+      this.updateDialog();
+    }
+  }
+  
+  upDownKey(dir) {
+    // Select the scenario above or below the selected one.
+    const i = this.selected + dir;
+    if(i >= 0 && i < this.allScenarios.length) this.selectScenario(i);
+  }
+
+} // END of class ScenarioManager
@@ -0,0 +1,316 @@
+/*
+CLAST is an executable graphical editor for causal loop diagrams.
+This tool is developed by Pieter Bots at Delft University of Technology.
+
+This JavaScript file (clast-sensitivity-analyzer.js) provides the GUI
+functionality for the CLAST "sensitivity analyzer": the draggable/resizable
+dialog that ranks links by the effect that varying their multiplier has on
+the status of the outcome factors, and permits showing this ranking in the
+model diagram by drawing influential links thicker.
+*/
+
+/*
+Copyright (c) 2024 Delft University of Technology
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights to
+use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+of the Software, and to permit persons to whom the Software is furnished to do
+so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+// CLASS SensitivityAnalyzer provides the sensitivity dialog functionality
+class SensitivityAnalyzer {
+  constructor() {
+    this.dialog = UI.draggableDialog('sensitivity');
+    UI.resizableDialog('sensitivity', 'SENSITIVITY_ANALYZER');
+    this.close_btn = document.getElementById('sensitivity-close-btn');
+    this.clear_btn = document.getElementById('sensitivity-clear-btn');
+    this.run_btn = document.getElementById('sensitivity-run-btn');
+    // Make toolbar buttons responsive.
+    this.close_btn.addEventListener('click', (e) => UI.toggleDialog(e));
+    this.clear_btn.addEventListener('click',
+        () => SENSITIVITY_ANALYZER.clear());
+    this.run_btn.addEventListener('click', () => SENSITIVITY_ANALYZER.run());
+    this.method = document.getElementById('sensitivity-method');
+    this.method.addEventListener('change',
+        () => SENSITIVITY_ANALYZER.clear());
+    this.table = document.getElementById('sensitivity-table');
+    this.status = document.getElementById('sensitivity-status');
+    // Set own properties.
+    this.visible = false;
+    this.reset();
+  }
+  
+  reset() {
+    // NOTE: Like attractors, sensitivities are computed only when the
+    // modeler asks for it, as this requires many runs.
+    this.results = null;
+    // While running, `runs` is the list of scenarios (the base model and
+    // one for each variation), and `links` the list of links varied.
+    this.runs = null;
+    this.links = [];
+    // For joint sampling, `varied` holds for each sample the list of
+    // indices of the links that have been varied.
+    this.varied = [];
+    this.selected = -1;
+    if(MODEL) MODEL.link_influence = null;
+  }
+  
+  clear() {
+    // Clear the results, and no longer show link influence.
+    const shown = MODEL.link_influence !== null;
+    this.reset();
+    if(shown) UI.drawDiagram(MODEL);
+    this.updateDialog();
+  }
+  
+  variedText(l, f) {
+    // Return the expression text for the multiplier of link `l` when this
+    // is multiplied by `f`.
+    const t = l.expression.text;
+    if(f === -1) return `-(${t})`;
+    return `${VM.sig4Dig(f)} * (${t})`;
+  }
+  
+  run() {
+    // Run the base model, and then the model for each variation of the
+    // link multipliers.
+    this.clear();
+    if(this.method.value === 'range' && !MODEL.numericStatus) {
+      // NOTE: Scaling a multiplier does not change its sign, and hence has
+      // no effect in sign and qualitative mode.
+      this.method.value = 'flip';
+      UI.notify('Links are flipped instead, as varying their multipliers ' +
+          'has no effect in sign mode');
+    }
+    const
+        fc = MODEL.factorCategories,
+        r = CONFIGURATION.sensitivity_range,
+        m = this.method.value;
+    if(!fc.outcome.length) {
+      UI.warn('Model has no outcome factors');
+      return;
+    }
+    // NOTE: Links without multiplier are not varied.
+    for(let k in MODEL.links) if(MODEL.links.hasOwnProperty(k)) {
+      if(MODEL.links[k].expression.defined) this.links.push(MODEL.links[k]);
+    }
+    this.links.sort((a, b) => UI.compareFullNames(a.displayName,
+        b.displayName));
+    if(!this.links.length) {
+      UI.warn('Model has no links with a multiplier');
+      return;
+    }
+    this.runs = [new Scenario('(base model)')];
+    if(m === 'sample') {
+      // Vary all links jointly: each link is varied with probability 0.5;
+      // in sign mode by flipping its sign, otherwise by a random factor.
+      // NOTE: Seed the generator so that samples can be reproduced.
+      VM.seedRandom(MODEL.random_seed || Math.floor(Math.random() * 1e9));
+      for(let i = 0; i < CONFIGURATION.sensitivity_samples; i++) {
+        const
+            sc = new Scenario(`Sample ${i + 1}`),
+            vl = [];
+        for(let j = 0; j < this.links.length; j++) {
+          if(VM.random() < 0.5) continue;
+          const f = (MODEL.numericStatus ?
+              1 - r + 2 * r * VM.random() : -1);
+          sc.overrides.push({entity: this.links[j],
+              text: this.variedText(this.links[j], f)});
+          vl.push(j);
+        }
+        this.runs.push(sc);
+        this.varied.push(vl);
+      }
+    } else {
+      // Vary links one at a time: flip its sign, or decrease and then
+      // increase its multiplier by the sensitivity range.
+      const fl = (m === 'flip' ? [-1] : [1 - r, 1 + r]);
+      for(let j = 0; j < this.links.length; j++) {
+        const l = this.links[j];
+        for(let i = 0; i < fl.length; i++) {
+          const sc = new Scenario(`${l.displayName} \u00d7 ` +
+              VM.sig4Dig(fl[i]));
+          sc.overrides.push({entity: l, text: this.variedText(l, fl[i])});
+          this.runs.push(sc);
+        }
+      }
+    }
+    this.status.innerHTML = 'Running ' + pluralS(this.runs.length,
+        'variation') + '\u2026';
+    VM.solveScenarios(this.runs, this);
+  }
+  
+  batchCompleted(n) {
+    // Compute the sensitivities from the results of the first `n` runs,
+    // and show them in the dialog and the diagram.
+    const
+        base = this.runs[0],
+        ol = MODEL.factorCategories.outcome,
+        m = this.method.value,
+        nv = (m === 'range' ? 2 : 1),
+        res = {method: m, runs: n, outcomes: ol.length, links: []};
+    if(n < 2) {
+      this.reset();
+      this.updateDialog();
+      return;
+    }
+    // Compute for each run the mean absolute change in outcome status.
+    const change = [];
+    for(let i = 1; i < n; i++) change.push(this.outcomeChange(base,
+        this.runs[i], ol));
+    if(m === 'sample') {
+      // The effect of a link is the difference between the mean change
+      // in runs where it was varied and in runs where it was not.
+      for(let j = 0; j < this.links.length; j++) {
+        const s = [0, 0], c = [0, 0];
+        for(let i = 1; i < n; i++) {
+          const v = (this.varied[i - 1].indexOf(j) >= 0 ? 1 : 0);
+          s[v] += change[i - 1];
+          c[v]++;
+        }
+        const e = (c[0] && c[1] ? s[1] / c[1] - s[0] / c[0] : 0);
+        res.links.push({link: this.links[j], effects: [e],
+            rank: Math.abs(e)});
+      }
+    } else {
+      // NOTE: Links for which not all runs were completed are not ranked,
+      // as their effect is unknown.
+      const nl = Math.min(this.links.length, Math.floor(change.length / nv));
+      for(let j = 0; j < nl; j++) {
+        const e = change.slice(j * nv, (j + 1) * nv);
+        res.links.push({link: this.links[j], effects: e,
+            rank: Math.max(...e)});
+      }
+    }
+    res.not_run = this.links.length - res.links.length;
+    res.links.sort((a, b) => b.rank - a.rank);
+    res.max = (res.links.length ? res.links[0].rank : 0);
+    // Show the influence of links relative to the most influential one.
+    MODEL.link_influence = {};
+    for(let i = 0; i < res.links.length; i++) {
+      const rl = res.links[i];
+      MODEL.link_influence[rl.link.identifier] = (res.max > 0 ?
+          rl.rank / res.max : 0);
+    }
+    this.results = res;
+    this.selected = -1;
+    // Show the results of the base model.
+    SCENARIO_MANAGER.copyResults(base);
+    this.runs = null;
+    UI.notify(pluralS(n - 1, 'variation') + ' run -- links ranked by ' +
+        'their effect on outcomes');
+    this.updateDialog();
+  }
+  
+  outcomeChange(base, sc, ol) {
+    // Return the mean absolute difference between the status of the
+    // outcome factors in list `ol` in scenario `sc` and in the base model.
+    // NOTE: When one of both is a special value, the status differs by 1.
+    const tmax = MODEL.run_length;
+    let sum = 0, n = 0;
+    for(let i = 0; i < ol.length; i++) {
+      const
+          k = ol[i].identifier,
+          bs = base.results[k],
+          ss = sc.results[k];
+      if(!bs || !ss) continue;
+      for(let t = 0; t <= tmax; t++) {
+        const
+            b = bs[t],
+            s = ss[t],
+            bx = VM.specialValue(b)[0],
+            sx = VM.specialValue(s)[0];
+        if(bx || sx) {
+          if(b !== s) sum++;
+        } else {
+          sum += Math.abs(s - b);
+        }
+        n++;
+      }
+    }
+    return (n ? sum / n : 0);
+  }
+  
+  updateDialog() {
+    // Display the links as a table ranked by their effect, with bars
+    // proportional to this effect.
+    if(!MODEL) return;
+    // Varying multipliers by a fraction is meaningful only when factor
+    // status is numeric.
+    this.method.querySelector('option[value="range"]').disabled =
+        !MODEL.numericStatus;
+    const r = this.results;
+    if(!r) {
+      this.table.innerHTML = '';
+      this.status.innerHTML = (this.runs ? 'Running\u2026' :
+          'Click on the run button to analyze link sensitivity');
+      return;
+    }
+    const
+        rpct = Math.round(CONFIGURATION.sensitivity_range * 100),
+        heads = (r.method === 'range' ? [`\u2212${rpct}%`, `+${rpct}%`] :
+            [r.method === 'flip' ? 'flipped' : 'effect']),
+        html = ['<tr><th></th>'];
+    for(let i = 0; i < heads.length; i++) {
+      html.push('<th>', heads[i], '</th>');
+    }
+    html.push('</tr>');
+    for(let i = 0; i < r.links.length; i++) {
+      const rl = r.links[i];
+      html.push('<tr class="dataset', (i === this.selected ? ' sel-set' : ''),
+          '" onclick="SENSITIVITY_ANALYZER.selectLink(', i,
+          ');"><td class="sensitivity-link">', rl.link.displayName, '</td>');
+      for(let j = 0; j < rl.effects.length; j++) {
+        // NOTE: Effects measure how much the outcomes change, not in
+        // which direction, so all bars extend to the right.
+        const
+            e = rl.effects[j],
+            w = (r.max > 0 ? Math.round(Math.abs(e) / r.max * 100) : 0);
+        html.push('<td class="sensitivity-bar" title="', VM.sig4Dig(e),
+            '" style="background: linear-gradient(to right, #a0c8ff ', w,
+            '%, transparent ', w, '%)">', VM.sig4Dig(e), '</td>');
+      }
+      html.push('</tr>');
+    }
+    this.table.innerHTML = html.join('');
+    this.status.innerHTML = pluralS(r.links.length, 'link') + ' ranked by ' +
+        'effect on ' + pluralS(r.outcomes, 'outcome') + ' (' +
+        pluralS(r.runs - 1, 'variation') + ')' +
+        (r.not_run ? ` -- ${pluralS(r.not_run, 'link')} not analyzed, as ` +
+            'the runs were halted' : '');
+  }
+  
+  selectLink(i) {
+    // Select the link in row `i` in the diagram, so that it stands out.
+    this.selected = (i === this.selected ? -1 : i);
+    if(this.selected >= 0) {
+      MODEL.selectList([this.results.links[i].link]);
+    } else {
+      MODEL.clearSelection();
+    }
+    UI.drawDiagram(MODEL);
+    this.updateDialog();
+  }
+  
+  upDownKey(dir) {
+    // Select the link above or below the selected one.
+    if(!this.results) return;
+    const i = this.selected + dir;
+    if(i >= 0 && i < this.results.links.length) this.selectLink(i);
+  }
+
+} // END of class SensitivityAnalyzer
@@ -0,0 +1,156 @@
+/*
+CLAST is an executable graphical editor for causal loop diagrams.
+This tool is developed by Pieter Bots at Delft University of Technology.
+
+This JavaScript file (clast-tree-viewer.js) provides the GUI functionality
+for the CLAST "tree viewer": the draggable/resizable dialog that shows
+the causes tree or the uses tree of a factor.
+*/
+
+/*
+Copyright (c) 2024 Delft University of Technology
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights to
+use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+of the Software, and to permit persons to whom the Software is furnished to do
+so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in
+all copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+// CLASS TreeViewer provides the causes/uses tree dialog functionality
+class TreeViewer {
+  constructor() {
+    this.dialog = UI.draggableDialog('tree');
+    UI.resizableDialog('tree', 'TREE_VIEWER');
+    this.close_btn = document.getElementById('tree-close-btn');
+    // Make toolbar buttons responsive.
+    this.close_btn.addEventListener('click', (e) => UI.toggleDialog(e));
+    document.getElementById('tree-select-btn').addEventListener('click',
+        () => TREE_VIEWER.useSelection());
+    this.mode = document.getElementById('tree-mode');
+    this.mode.addEventListener('change', () => TREE_VIEWER.updateDialog());
+    this.depth = document.getElementById('tree-depth');
+    this.depth.addEventListener('change', () => TREE_VIEWER.updateDialog());
+    this.factor_name = document.getElementById('tree-factor');
+    this.table = document.getElementById('tree-table');
+    this.status = document.getElementById('tree-status');
+    // Trees can grow exponentially with their depth, so limit their size.
+    this.max_rows = 500;
+    // Set own properties.
+    this.visible = false;
+    this.reset();
+  }
+
+  reset() {
+    this.factor = null;
+    this.rows = [];
+  }
+  
+  addBranches(f, path, depth, causes) {
+    // Add rows for the factors that are linked to factor `f` at the end
+    // of `path` (the list of factors from the root to `f`), descending
+    // at most `depth` levels.
+    const ll = (causes ? f.inputs : f.outputs);
+    for(let i = 0; i < ll.length && this.rows.length < this.max_rows; i++) {
+      const
+          l = ll[i],
+          nf = (causes ? l.from_factor : l.to_factor),
+          // NOTE: A branch closes a loop when it leads back to a factor on
+          // the path from the root.
+          loop = path.indexOf(nf) >= 0,
+          more = !loop && depth <= 1 &&
+              (causes ? nf.inputs : nf.outputs).length > 0;
+      this.rows.push({factor: nf, link: l, level: path.length,
+          loop: loop, more: more});
+      if(!loop && depth > 1) {
+        this.addBranches(nf, path.concat([nf]), depth - 1, causes);
+      }
+    }
+  }
+  
+  updateDialog() {
+    // Display the tree for the selected factor.
+    if(!MODEL) return;
+    // By default, show the tree for the selected factor (if any).
+    const sel = MODEL.selection;
+    if(!this.factor && sel.length === 1 && sel[0] instanceof Factor) {
+      this.factor = sel[0];
+    }
+    // NOTE: Factor may have been deleted.
+    if(this.factor && MODEL.factors[this.factor.identifier] !== this.factor) {
+      this.factor = null;
+    }
+    const
+        f = this.factor,
+        causes = this.mode.value === 'causes',
+        signs = ['\u2212', '?', '+'],
+        html = [];
+    this.rows.length = 0;
+    if(!f) {
+      this.factor_name.innerHTML = '(no factor selected)';
+      this.table.innerHTML = '';
+      this.status.innerHTML = 'Select a factor in the diagram, and then ' +
+          'click on the factor button';
+      return;
+    }
+    this.factor_name.innerHTML = f.displayName;
+    this.addBranches(f, [f], parseInt(this.depth.value), causes);
+    html.push('<tr class="dataset tree-root" ',
+        'onclick="TREE_VIEWER.reveal(-1);"><td>', f.displayName, '</td></tr>');
+    for(let i = 0; i < this.rows.length; i++) {
+      const
+          r = this.rows[i],
+          p = r.link.polarity,
+          title = (r.loop ? 'Closes a loop' :
+              (r.more ? 'Tree continues beyond this depth' : ''));
+      html.push('<tr class="dataset" onclick="TREE_VIEWER.reveal(', i,
+          ', event.altKey);"', (title ? ` title="${title}"` : ''),
+          '><td style="padding-left: ', r.level * 14, 'px"><span class="',
+          'tree-sign tree-', ['negative', 'undetermined', 'positive'][p + 1],
+          '">', signs[p + 1], '</span>', r.factor.displayName,
+          (r.loop ? '<span class="tree-loop">\u21BB</span>' : ''),
+          (r.more ? '<span class="tree-more">\u2026</span>' : ''),
+          '</td></tr>');
+    }
+    this.table.innerHTML = html.join('');
+    let msg = pluralS(this.rows.length, causes ? 'cause' : 'use') + ' shown';
+    if(this.rows.length >= this.max_rows) msg += ' (tree has been truncated)';
+    this.status.innerHTML = msg;
+  }
+  
+  useSelection() {
+    // Show the tree for the selected factor.
+    const sel = MODEL.selection;
+    if(sel.length === 1 && sel[0] instanceof Factor) {
+      this.factor = sel[0];
+      this.updateDialog();
+    } else {
+      UI.notify('Select one factor to view its tree');
+    }
+  }
+  
+  reveal(i, alt=false) {
+    // Reveal the factor of row `i` in its cluster, or make it the root of
+    // the tree when the Alt-key is pressed.
+    const f = (i < 0 ? this.factor : this.rows[i].factor);
+    if(alt) {
+      this.factor = f;
+      this.updateDialog();
+    } else {
+      FINDER.reveal(f.identifier);
+    }
+  }
+  
+} // END of class TreeViewer
@@ -283,8 +283,9 @@ class UndoStack {
               tc = nodeContentByTag(c, 'to-code'),
               tf = MODEL.factorByCode(tc);
           if(ff && tf) {
-            MODEL.addLink(ff, tf, c).selected = false;
-            MODEL.cleanUpFeedbackLinks();
+            const l = MODEL.addLink(ff, tf, c);
+            l.selected = false;
+            MODEL.linkAdded(l);
           } else {
             console.log('ERROR: Failed to add link from', fc, 'to', tc);
           }
@@ -355,7 +356,7 @@ if (MODEL.focal_cluster === fc) {
           if(ot === 'Link') {
             MODEL.deleteLink(obj);
           } else if(ot === 'Factor') {
-            MODEL.focal_cluster.deleteFactor(obj);
+            MODEL.deleteFactor(obj);
           } else if(ot === 'Note') {
             MODEL.focal_cluster.deleteNote(obj);
           } else if(ot === 'Cluster') {
@@ -523,10 +523,20 @@ class ExpressionParser {
       // Get the name pattern.
       pat = patternList(pat);
       // Get list of all matching variables within scope.
-      const list = [];
+      const
+          list = [],
+          // NOTE: In the stop condition, factors denote their status.
+          sv = this.owner instanceof CLASTModel;
       for(let i = 0; i < variables.length; i++) {
         const a = variables[i];
-        if(patternMatch(a.name, pat)) list.push(a);
+        if(patternMatch(a.name, pat)) {
+          if(sv && a instanceof Factor) {
+            this.is_static = false;
+            list.push(a.status);
+          } else {
+            list.push(a);
+          }
+        }
       }
       if(list.length > 0) {
         args = [stat, list, anchor1, offset1, anchor2, offset2];
@@ -575,8 +585,15 @@ class ExpressionParser {
     }
     if(!anchor1) anchor1 = 't';
     if(!anchor2) anchor2 = 't';
-    this.is_static = this.is_static && obj.expression.isStatic;
-    args = [obj.expression, anchor1, offset1, anchor2, offset2];
+    if(this.owner instanceof CLASTModel && obj instanceof Factor) {
+      // NOTE: In the stop condition of the model, factors denote their
+      // status vector, which changes over time.
+      this.is_static = false;
+      args = [obj.status, anchor1, offset1, anchor2, offset2];
+    } else {
+      this.is_static = this.is_static && obj.expression.isStatic;
+      args = [obj.expression, anchor1, offset1, anchor2, offset2];
+    }
     if(msg) {
       this.error = msg;
       return false;
@@ -929,7 +946,23 @@ class VirtualMachine {
     
     this.call_stack = [];
     this.issue_list = [];
+    // For structural issues, the ID of the entity concerned is recorded
+    // in this list that runs parallel to the issue list.
+    this.issue_entities = [];
+    // The event setpoints are the interventions that apply during a run.
     this.event_setpoints = [];
+    // When scenarios are run as a batch, `scenarios` is the list of
+    // scenarios, and `scenario_index` the index of the one being run.
+    // The batch manager is notified when the batch has been completed.
+    this.scenarios = null;
+    this.scenario_index = 0;
+    this.batch_manager = null;
+    // When the model is run more than once, `replication` is the index of
+    // the run, and `replication_results` aggregates the factor status.
+    this.replication = 0;
+    this.replication_results = null;
+    // State of the pseudo-random number generator.
+    this.random_state = 0;
 
     // Floating-point constants used in calculations.
 
@@ -955,6 +988,9 @@ class VirtualMachine {
     this.PENDING = 1e+37; // (not used in CLAST)
     this.UNDEFINED = 1e+38; // to denote "unspecified by the user"
     this.NOT_COMPUTED = 1e+39; // initial value for VM variables (to distinguish from UNDEFINED)
+    // NOTE: The ambiguous factor status (qualitative mode) exceeds
+    // EXCEPTION, so that arithmetic passes it on like other special values.
+    this.AMBIGUOUS = 5e+36;
     this.COMPUTING = 1e+40; // used by the VM to implement lazy evaluation
   
     // NOTES:
@@ -1036,6 +1072,7 @@ class VirtualMachine {
     this.tick_issues = 0;
     // Clear issue list with warnings and hide issue panel.
     this.issue_list.length = 0;
+    this.issue_entities.length = 0;
     this.issue_index = -1;
     UI.updateIssuePanel();
     this.messages.length = 0;
@@ -1097,10 +1134,29 @@ class VirtualMachine {
     if(n >= this.NOT_COMPUTED) return [true, '\u2297']; // Circled X
     if(n >= this.UNDEFINED) return [true, '\u2047']; // Double question mark ??
     if(n >= this.PENDING) return [true, '\u29D6']; // Stylized hourglass
+    if(n >= this.AMBIGUOUS) return [true, '?'];
     if(n >= this.NEAR_PLUS_INFINITY) return [true, '\u221E'];
     return [false, n];
   }
   
+  specialValueLabel(n) {
+    // Return number `n` as string for exported data, where special values
+    // are written as labels that data analysis software can recognize
+    // (rather than as the symbols that are shown in the GUI).
+    if(n >= this.COMPUTING) return 'COMPUTING';
+    if(n >= this.NOT_COMPUTED) return 'NOT_COMPUTED';
+    if(n >= this.UNDEFINED) return 'UNDEFINED';
+    if(n >= this.PENDING) return 'PENDING';
+    if(n >= this.AMBIGUOUS) return 'AMBIGUOUS';
+    if(n >= this.EXCEPTION) return 'EXCEPTION';
+    if(n >= this.NEAR_PLUS_INFINITY) return 'Inf';
+    // NOTE: Error codes are labeled as in the GUI, e.g., #DIV/0!
+    if(n <= this.CYCLIC) return this.specialValue(n)[1];
+    if(n <= this.ERROR) return '#ERROR';
+    if(n <= this.NEAR_MINUS_INFINITY) return '-Inf';
+    return n.toString();
+  }
+  
   sig2Dig(n) {
     // Return number `n` formatted so as to show 2-3 significant digits
     // NOTE: as `n` should be a number, a warning sign will typically
@@ -1205,9 +1261,29 @@ class VirtualMachine {
     if(msg.startsWith(this.WARNING)) {
       this.error_count++;
       this.issue_list.push(msg);
+      this.issue_entities.push('');
     }
   }
   
+  checkModel() {
+    // Replace the structural issues (if any) on the issue list by those
+    // that the model has now, and return the number of such issues.
+    for(let i = this.issue_list.length - 1; i >= 0; i--) {
+      if(this.issue_entities[i]) {
+        this.issue_list.splice(i, 1);
+        this.issue_entities.splice(i, 1);
+      }
+    }
+    const il = MODEL.structuralIssues;
+    for(let i = 0; i < il.length; i++) {
+      this.issue_list.push(this.WARNING + il[i].text);
+      this.issue_entities.push(il[i].id);
+    }
+    this.issue_index = -1;
+    UI.updateIssuePanel();
+    return il.length;
+  }
+  
   startTimer() {
     // Record time of this timer reset.
     this.reset_time = new Date().getTime();
@@ -1247,8 +1323,116 @@ class VirtualMachine {
     // Perform successive "cycles" for the set run length.
     this.reset();
     MONITOR.reset();
+    ATTRACTOR_ANALYZER.cancelSelection();
     this.startTimer();
     this.logMessage(0, `Simulation started at ${new Date().toString()}\n`);
+    // Report structural issues, as these may explain unexpected results.
+    const n = this.checkModel();
+    if(n) {
+      this.logMessage(0, pluralS(n, 'structural issue') +
+          ' (see issue panel on status bar)\n');
+    }
+    // Report the update scheme, as results may depend on it.
+    this.logMessage(0, 'Update scheme: ' + (MODEL.synchronous ?
+        'synchronous (all factors are updated from the previous time step)' :
+        'sequential (factors are updated in trigger sequence order)') + '\n');
+    // Seed the pseudo-random number generator, so that a run can be
+    // reproduced. Replications are run with successive seeds.
+    // NOTE: Without a seed, a new seed is chosen, and also reported.
+    const seed = (MODEL.random_seed ||
+        Math.floor(Math.random() * 1e9) + 1) + this.replication;
+    this.seedRandom(seed);
+    if(this.replication_results) {
+      this.logMessage(0, `Replication ${this.replication + 1} of ` +
+          `${MODEL.replications} (random seed ${seed})\n`);
+    } else {
+      this.logMessage(0, `Random seed: ${seed}\n`);
+    }
+    if(MODEL.continuous) {
+      // Report the saturation bounds, as these limit the factor status.
+      const bl = [];
+      for(let k in MODEL.factors) if(MODEL.factors.hasOwnProperty(k)) {
+        const f = MODEL.factors[k];
+        if(f.boundsString) bl.push(`${f.displayName}: ${f.boundsString}`);
+      }
+      this.logMessage(0, 'Continuous mode: link multipliers act as gains' +
+          (bl.length ? '\nBounded factors:\n' + bl.join('\n') : '') + '\n');
+    }
+    if(MODEL.fcm) {
+      // Report the FCM settings, and warn about weights outside [-1, 1],
+      // as these will be truncated.
+      const
+          rule = (MODEL.fcm_rule === 'modified' ? 'modified Kosko' : 'Kosko'),
+          ow = [];
+      for(let k in MODEL.links) if(MODEL.links.hasOwnProperty(k)) {
+        const x = MODEL.links[k].expression;
+        if(x.defined && x.isStatic && Math.abs(x.result(0)) > 1) {
+          ow.push(MODEL.links[k].displayName);
+        }
+      }
+      this.logMessage(0, `Fuzzy cognitive map: ${MODEL.fcm_squashing} ` +
+          `squashing, ${rule} rule, tolerance ${MODEL.fcm_tolerance}` +
+          (ow.length ? '\nWeights truncated to [-1, 1]:\n' + ow.join('\n') :
+              '') + '\n');
+    }
+    // Also report delayed links, as these propagate status changes later.
+    const dl = [];
+    this.max_delay = 0;
+    for(let k in MODEL.links) if(MODEL.links.hasOwnProperty(k)) {
+      const l = MODEL.links[k];
+      this.max_delay = Math.max(this.max_delay, l.delaySteps);
+      if(l.delay > 0) {
+        dl.push(`${l.displayName}: ${l.delayString}` +
+            (l.delay_unit === 'step' ? '' :
+                ` (${pluralS(l.delaySteps, 'time step')})`));
+      }
+    }
+    if(dl.length) {
+      this.logMessage(0, pluralS(dl.length, 'delayed link') + ':\n' +
+          dl.join('\n') + '\n');
+    }
+    // A repeating state implies a fixed point or a limit cycle only when
+    // the status of factors depends solely on their earlier status, so
+    // not when expressions depend on time or are random.
+    // NOTE: Fuzzy cognitive maps always stop when they reach an attractor.
+    this.stop_on_recurrence = !MODEL.run_to_end;
+    if(this.stop_on_recurrence && !MODEL.fcm) {
+      const
+          ax = MODEL.allExpressions,
+          dx = [];
+      for(let i = 0; i < ax.length; i++) {
+        if(ax[i].defined && !ax[i].isStatic) dx.push(ax[i].variableName);
+      }
+      if(dx.length) {
+        this.stop_on_recurrence = false;
+        this.logMessage(0, 'No early termination, as ' +
+            pluralS(dx.length, 'expression') + ' may change over time:\n' +
+            dx.join('\n') + '\n');
+      }
+    }
+    if(MODEL.stop_condition.defined) {
+      this.logMessage(0,
+          `Stop condition: ${MODEL.stop_condition.text}\n`);
+    }
+    // Report the intervention schedule.
+    // NOTE: Until the last intervention has ended, a repeating state does
+    // not imply an attractor.
+    this.last_event_t = 0;
+    for(let i = 0; i < MODEL.interventions.length; i++) {
+      const iv = MODEL.interventions[i];
+      if(iv.valid) {
+        this.event_setpoints.push(iv);
+        this.last_event_t = Math.max(this.last_event_t, iv.lastStep);
+      }
+    }
+    if(this.event_setpoints.length) {
+      const el = [];
+      for(let i = 0; i < this.event_setpoints.length; i++) {
+        el.push(this.event_setpoints[i].asString);
+      }
+      this.logMessage(0, pluralS(el.length, 'intervention') + ':\n' +
+          el.join('\n') + '\n');
+    }
     // First establish the most logical function sequence.
     this.sequence = MODEL.triggerSequence;
     this.t = 0;
@@ -1258,12 +1442,104 @@ class VirtualMachine {
     setTimeout(() => VM.runTimeStep(), 10);
   }
   
+  solve() {
+    // Run the model once, or as many times as the number of replications.
+    this.replication = 0;
+    this.replication_results = (MODEL.replications > 1 ?
+        new ReplicationResults(MODEL) : null);
+    this.solveModel();
+  }
+  
+  replicationCompleted() {
+    // Add the results of the replication that has been run to the
+    // aggregated results. Return TRUE if the next replication is being run.
+    // NOTE: The results of an aborted run are incomplete, hence ignored.
+    if(!this.halted) this.replication_results.addRun(MODEL);
+    this.replication++;
+    if(this.replication < MODEL.replications && !this.halted) {
+      setTimeout(() => VM.solveModel(), 10);
+      return true;
+    }
+    REPLICATION_VIEWER.resultsReady(this.replication_results);
+    this.replication_results = null;
+    this.replication = 0;
+    return false;
+  }
+  
+  seedRandom(seed) {
+    // Set the state of the pseudo-random number generator.
+    this.random_state = seed >>> 0;
+  }
+  
+  random() {
+    // Return a pseudo-random number from the interval [0, 1).
+    // NOTE: This is the "Mulberry32" generator. It is fast, and good
+    // enough for simulation, but not for cryptographic purposes.
+    let z = (this.random_state = (this.random_state + 0x6D2B79F5) >>> 0);
+    z = Math.imul(z ^ (z >>> 15), z | 1);
+    z ^= z + Math.imul(z ^ (z >>> 7), z | 61);
+    return ((z ^ (z >>> 14)) >>> 0) / 4294967296;
+  }
+  
+  solveScenarios(list, manager=SCENARIO_MANAGER) {
+    // Run the model for each scenario in `list`, keeping their results.
+    // When done, `manager` processes these results.
+    // NOTE: Scenarios are run once, so without replications.
+    this.replication = 0;
+    this.replication_results = null;
+    this.batch_manager = manager;
+    this.scenarios = list;
+    this.scenario_index = 0;
+    this.solveNextScenario();
+  }
+  
+  solveNextScenario() {
+    // Modify the model as specified by the next scenario, and run it.
+    const sc = this.scenarios[this.scenario_index];
+    sc.apply();
+    this.solveModel();
+    this.logMessage(0, `Scenario ${this.scenario_index + 1} of ` +
+        `${this.scenarios.length}: ${sc.displayName}\n` +
+        (sc.overridesAsString || '(no changes)') + '\n');
+  }
+  
+  scenarioCompleted() {
+    // Keep the results of the scenario that has been run, and restore the
+    // model. Return TRUE if the next scenario in the batch is being run.
+    // NOTE: A halted run has incomplete results, so these are not kept,
+    // and the scenario does not count as run.
+    const sc = this.scenarios[this.scenario_index];
+    if(!this.halted) {
+      sc.storeResults();
+      this.scenario_index++;
+    }
+    sc.restore();
+    if(this.scenario_index < this.scenarios.length && !this.halted) {
+      setTimeout(() => VM.solveNextScenario(), 10);
+      return true;
+    }
+    this.scenarios = null;
+    // NOTE: Expressions must be recomputed, as scenarios may have changed
+    // them; the results shown are those of the selected scenario.
+    MODEL.resetExpressions();
+    this.batch_manager.batchCompleted(this.scenario_index);
+    return false;
+  }
+  
   runTimeStep() {
     if(this.t > MODEL.run_length) {
       this.terminateRun();
       return;
     }
     this.logMessage(this.t, 'Time step #' + this.t);
+    // Mark the interventions that apply at this time step.
+    for(let i = 0; i < this.event_setpoints.length; i++) {
+      const iv = this.event_setpoints[i];
+      if(iv.appliesAt(this.t)) {
+        this.logMessage(this.t, `>>> Intervention: "${iv.entity.displayName}"` +
+            ` set to ${iv.valueString}`);
+      }
+    }
     const changes = [];
     for(let k in this.sequence) if(this.sequence.hasOwnProperty(k)) {
       const s = this.sequence[k];
@@ -1279,9 +1555,56 @@ class VirtualMachine {
         this.logMessage(this.t, ((i + 1) + ': ').padStart(5) + changes[i]);
       }
     }
+    if(MODEL.qualitative) {
+      // List the factors for which the direction cannot be determined.
+      const amb = [];
+      for(let k in this.sequence) if(this.sequence.hasOwnProperty(k)) {
+        const s = this.sequence[k];
+        for(let i = 0; i < s.length; i++) {
+          if(s[i].status[VM.t] === VM.AMBIGUOUS) {
+            amb.push(`"${s[i].displayName}"`);
+          }
+        }
+      }
+      if(amb.length) {
+        // NOTE: Ambiguity is not an error, so it is not logged as warning.
+        this.logMessage(this.t, pluralS(amb.length, 'factor') +
+            ' with ambiguous status (?): ' + amb.join(', '));
+      }
+    }
     MONITOR.updateDialog();
     MONITOR.updateMonitorTime();
     UI.setProgressNeedle(this.t / MODEL.run_length);
+    // Stop iterating when the model has reached an attractor.
+    if(this.stop_on_recurrence && this.t > 0) {
+      const p = this.recurrencePeriod(this.t,
+          (MODEL.fcm ? MODEL.fcm_tolerance : this.NEAR_ZERO), this.max_delay,
+          this.last_event_t);
+      if(p) {
+        const
+            what = (MODEL.fcm ? 'FCM' : 'Model'),
+            msg = (p === 1 ? `${what} converged at time step ${this.t}` :
+                `${what} reached a limit cycle with period ${p}` +
+                    ` at time step ${this.t}`);
+        this.extrapolateStatus(p);
+        this.logMessage(this.t, `\n${msg}`);
+        UI.notify(msg);
+        this.terminateRun();
+        return;
+      }
+    }
+    // The modeler may also specify a condition for ending the run.
+    const sc = MODEL.stop_condition;
+    if(sc.defined) {
+      const r = sc.result(this.t);
+      if(r <= VM.PLUS_INFINITY && Math.abs(r) > VM.NEAR_ZERO) {
+        const msg = `Stop condition is true at time step ${this.t}`;
+        this.logMessage(this.t, `\n${msg}`);
+        UI.notify(msg);
+        this.terminateRun();
+        return;
+      }
+    }
     // Modeler may interrupt the simulation.
     if(this.halted) {
       UI.notify('Simulation was aborted -- results will be partial');
@@ -1297,7 +1620,89 @@ class VirtualMachine {
     setTimeout(() => VM.runTimeStep(), 10);
   }
   
+  recurrencePeriod(t, tolerance, depth=0, t0=0) {
+    // Return the smallest number of time steps p such that the status of
+    // all factors at time step `t` equals that at `t` - p (1 indicates a
+    // fixed point), or 0 if the state at `t` did not occur before.
+    // NOTE: A state "equals" an earlier state if no factor status differs
+    // by more than `tolerance`, so slowly damped oscillations may be
+    // reported as limit cycles.
+    // When `depth` > 0, the status must also be equal for the `depth`
+    // time steps before `t`, as delayed links then affect the next state.
+    // States before time step `t0` are not considered.
+    for(let p = 1; p <= t - depth - t0; p++) {
+      let same = true;
+      for(let k in MODEL.factors) if(MODEL.factors.hasOwnProperty(k)) {
+        const s = MODEL.factors[k].status;
+        for(let d = 0; same && d <= depth; d++) {
+          same = Math.abs(s[t - d] - s[t - d - p]) <= tolerance;
+        }
+        if(!same) break;
+      }
+      if(same) return p;
+    }
+    return 0;
+  }
+  
+  outcomeStatistic(v, stat, t2) {
+    // Return statistic `stat` (one of the outcome statistics) computed for
+    // vector `v` over time steps 0, ..., `t2`.
+    // NOTE: Special values (errors, undefined, ambiguous) are ignored.
+    const vl = [];
+    for(let t = 0; t <= t2 && t < v.length; t++) {
+      if(v[t] >= this.MINUS_INFINITY && v[t] <= this.PLUS_INFINITY) {
+        vl.push(v[t]);
+      }
+    }
+    const n = vl.length;
+    if(stat === 'LAST') return (t2 < v.length ? v[t2] : this.UNDEFINED);
+    if(stat === 'N') return n;
+    if(stat === 'NZ') {
+      let nz = 0;
+      for(let i = 0; i < n; i++) if(Math.abs(vl[i]) > this.NEAR_ZERO) nz++;
+      return nz;
+    }
+    if(n === 0) return this.UNDEFINED;
+    if(stat === 'MIN') return Math.min(...vl);
+    if(stat === 'MAX') return Math.max(...vl);
+    let sum = 0;
+    for(let i = 0; i < n; i++) sum += vl[i];
+    if(stat === 'SUM') return sum;
+    const mean = sum / n;
+    if(stat === 'MEAN') return mean;
+    let sumsq = 0;
+    for(let i = 0; i < n; i++) sumsq += Math.pow(vl[i] - mean, 2);
+    if(stat === 'VAR') return sumsq / n;
+    if(stat === 'SD') return Math.sqrt(sumsq / n);
+    return this.UNDEFINED;
+  }
+  
+  setpoint(obj, t) {
+    // Return the value that an intervention sets for factor or link `obj`
+    // at time step `t`, or NULL if no intervention applies.
+    // NOTE: When interventions overlap, the last one in the schedule applies.
+    let v = null;
+    for(let i = 0; i < this.event_setpoints.length; i++) {
+      const iv = this.event_setpoints[i];
+      if(iv.entity === obj && iv.appliesAt(t)) v = iv.value;
+    }
+    return v;
+  }
+  
+  extrapolateStatus(p) {
+    // Set the status of all factors for the remaining time steps of the
+    // run, assuming that the state repeats with period `p`.
+    for(let k in MODEL.factors) if(MODEL.factors.hasOwnProperty(k)) {
+      const s = MODEL.factors[k].status;
+      for(let t = this.t + 1; t <= MODEL.run_length; t++) s[t] = s[t - p];
+    }
+  }
+  
   terminateRun() {
+    // When running a batch of scenarios, continue with the next one.
+    if(this.scenarios && this.scenarioCompleted()) return;
+    // Likewise, continue with the next replication.
+    if(this.replication_results && this.replicationCompleted()) return;
     MODEL.solved = true;
     this.stopSolving();
     MODEL.t = 0;
@@ -1399,7 +1804,7 @@ function VMI_push_clock_time(x) {
 
 function VMI_push_random(x) {
   // Push a random number from the interval [0, 1).
-  const r = Math.random();
+  const r = VM.random();
   if(DEBUGGING) console.log('push random =', r);
   x.push(r);
 }
@@ -1554,6 +1959,9 @@ function VMI_push_var(x, args) {
   }
   if(obj instanceof Expression) {
     x.push(obj.result(t));
+  } else if(Array.isArray(obj)) {
+    // Variable is a vector, e.g., the status of a factor.
+    x.push(t < obj.length ? obj[t] : VM.UNDEFINED);
   } else if(xv) {
     // Variable references an earlier value computed for this expression `x`.
     x.push(t >= 0 && t < x.vector.length ? x.vector[t] : obj.dv);
@@ -2187,21 +2595,23 @@ function VMI_if_else(x) {
 //
 // Functions that implement random numbers from specific distribution.
 //
+// NOTE: These use the seeded generator of the VM, so that runs can be
+// reproduced.
 
 function randomExponential(lambda) {
   // Return a random number drawn from a Exp(lambda) distribution.
-  return -Math.log(Math.random()) / lambda;
+  return -Math.log(VM.random()) / lambda;
 }
 
 function randomWeibull(lambda, k) {
   // Return a random number drawn from a Weibull(lambda, k) distribution.
   if(Math.abs(k) < VM.NEAR_ZERO) return VM.DIV_ZERO;
-  return lambda * Math.pow(-Math.log(Math.random()), 1.0 / k);
+  return lambda * Math.pow(-Math.log(VM.random()), 1.0 / k);
 }
 
 function randomTriangular(a, b, c=0.5*(a + b)) {
   // Return a random number drawn from a Triangular(a, b, c) distribution.
-  const u = Math.random(), b_a = b - a, c_a = c - a;
+  const u = VM.random(), b_a = b - a, c_a = c - a;
   if(u < c_a / b_a) {
     return a + Math.sqrt(u * b_a * c_a);
   } else {
@@ -2222,7 +2632,7 @@ function randomNormal(mean, std) {
     c6 = 2.93816398269878,
     d1 = 7.78469570904146E-03, d2 = 0.32246712907004, d3 = 2.445134137143,
     d4 = 3.75440866190742,
-    p = Math.random(), p_low = 0.02425, p_high = 1 - p_low;
+    p = VM.random(), p_low = 0.02425, p_high = 1 - p_low;
   let q, r, zn = 0, zd = 1;
   if(p >= p_low && p <= p_high) {
     q = p - 0.5;
@@ -2243,7 +2653,7 @@ function randomBinomial(n, p) {
         log_q = Math.log(1.0 - pp);
   let x = 0, sum = 0;
   while(true) {
-    sum += Math.log(Math.random()) / (n - x);
+    sum += Math.log(VM.random()) / (n - x);
     if(sum < log_q) return (pp === p ? x : n - x);
     x++;
   }
@@ -2283,7 +2693,7 @@ function randomPoisson(lambda) {
     let k = 0, p = 1;
     do {
       k++;
-      p *= Math.random();
+      p *= VM.random();
     } while(p > L);
     return k - 1;
   } else {
@@ -2296,11 +2706,11 @@ function randomPoisson(lambda) {
           k = Math.log(c) - lambda - Math.log(beta);
     let n, u, v, x, y, lhs, rhs; 
     while(true) {
-      u = Math.random();
+      u = VM.random();
       x = (alpha - Math.log((1.0 - u) / u)) / beta;
       n = Math.floor(x + 0.5);
       if(n < 0) continue;
-      v = Math.random();
+      v = VM.random();
       y = alpha - beta * x;
       lhs = y + Math.log(Math.pow(v / (1.0 + Math.exp(y)), 2));
       rhs = k + n * Math.log(lambda) - Math.log(factorial(n));